@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+// Prints an encrypted value to paste into config.json as the ADT password.
+// Usage: ADT_SECRET_KEY=<passphrase> adt-encrypt-secret < password.txt
+
+const credentials = require('../lib/credentials');
+
+const passphrase = process.env.ADT_SECRET_KEY;
+
+if (!passphrase) {
+    console.error('Set the ADT_SECRET_KEY environment variable to the passphrase used to decrypt the value.');
+    process.exit(1);
+}
+
+let input = '';
+
+process.stdin.setEncoding('utf8');
+process.stdin
+    .on('data', chunk => input += chunk)
+    .on('end', () => {
+        let secret = input.replace(/\r?\n$/, '');
+
+        if (!secret) {
+            console.error('Nothing to encrypt. Pipe the secret through standard input.');
+            process.exit(1);
+        }
+
+        console.log(credentials.encrypt(secret, passphrase));
+    });
@@ -1,93 +1,82 @@
 let Accessory, hap;
-let adt = require('./lib/adt').Adt;
-let contactSensor = require('./lib/contactSensor').ContactSensor;
-let securitySystem = require('./lib/securitySystem').SecuritySystem;
-let camera = require('./lib/camera').Camera;
+let location = require('./lib/location').Location;
+let redact = require('./lib/redactingLog').redact;
+let MetricsServer = require('./lib/metricsServer').MetricsServer;
+
+// Settings that belong to one location only
+const LOCATION_ONLY = ['locations', 'api', 'mqtt'];
 
 const smartSecurityPlatform = function (log, config, api) {
-    this.log = log;
-    this.name = config.name;
-    this.platformAccessories = [];
-    this.cachedAccessories = [];
-    this.cachedCameraAccessories = [];
-    this.cameraAccesories = [];
+    this.log = redact(log);
     this.api = api;
+    this.orphanedAccessories = [];
+    this.failedLocations = 0;
 
-    this.adt = new adt(config, log)
-        .on('init', this.initialize.bind(this));
-};
+    let shared = Object.assign({}, config);
+    LOCATION_ONLY.forEach(setting => delete shared[setting]);
 
-smartSecurityPlatform.prototype.configureAccessory = function (accessory) {
-    this.log.debug("Refreshing cached accessory", accessory.displayName);
-    let platformAccessory;
-
-    if (accessory.category === hap.Accessory.Categories.SECURITY_SYSTEM) {
-        platformAccessory = securitySystem.from(accessory, this.adt, this.log, hap);
-    } else if (accessory.category === hap.Accessory.Categories.SENSOR) {
-        platformAccessory = contactSensor.from(accessory, this.log, hap);
-    } else if (accessory.category === hap.Accessory.Categories.CAMERA) {
-        this.cachedCameraAccessories.push(camera.from(accessory, this.adt, this.log, hap));
-    } else {
-        throw new Error("Cannot refresh cached accessory with category " + accessory.category);
+    if (config.locations && (config.api || config.mqtt)) {
+        this.log.warn("api and mqtt are set per location when using locations. Ignoring the platform wide settings");
     }
 
-    this.cachedAccessories.push(platformAccessory);
-};
-
-smartSecurityPlatform.prototype.initialize = function (state) {
-    this.platformAccessories = this.cachedAccessories;
+    // The first location keeps the accessory UUIDs a single account setup had
+    let locations = (config.locations || [config])
+        .map((locationConfig, index) => {
+            try {
+                return new location(config.locations ? Object.assign({}, shared, locationConfig) : config, this.log, api, hap, Accessory, index > 0);
+            } catch (error) {
+                this.log.error("Skipping location %s. %s", locationConfig.name || index + 1, error.message);
+                this.failedLocations++;
+            }
+        });
 
-    let newAccessories = [];
+    this.firstLocation = locations[0];
+    this.locations = locations.filter(candidate => candidate);
 
-    if (!this.platformAccessories.some(cached => cached.name === this.name)) {
-        let newSecuritySystem = securitySystem.with(this.name, this.adt, this.log, hap, Accessory);
-        this.platformAccessories.push(newSecuritySystem);
-        newAccessories.push(newSecuritySystem);
+    // Metrics add up every location, so there is one endpoint for the platform
+    if (config.metrics) {
+        this.log.addSecret(config.metrics.token);
+        this.metricsServer = new MetricsServer(config.metrics, this.log);
+        this.metricsServer.start()
+            .catch(error => this.log.error('Could not start metrics server', error.message));
     }
 
-    state.contactSensors
-        .filter(sensor => !this.platformAccessories.some(cached => cached.name === sensor.name))
-        .forEach(sensor => {
-            let newContactSensor = contactSensor.with(sensor, this.log, hap, Accessory);
+    api.on('didFinishLaunching', this.removeOrphanedAccessories.bind(this));
+    api.on('shutdown', this.close.bind(this));
+};
 
-            this.platformAccessories.push(newContactSensor);
-            newAccessories.push(newContactSensor);
-        });
+smartSecurityPlatform.prototype.close = function () {
+    return Promise.all(this.locations.map(location => location.close()).concat(this.metricsServer ? [this.metricsServer.stop()] : []));
+};
 
-    this.log("Initializing platform with %s accessories", this.platformAccessories.length);
-    this.log("Found %s new platform accessories", newAccessories.length);
+smartSecurityPlatform.prototype.configureAccessory = function (accessory) {
+    this.log.debug("Refreshing cached accessory", accessory.displayName);
 
-    this.api.registerPlatformAccessories("homebridge-adt-smart-security", "ADT", newAccessories.map(accessory => accessory.getAccessory()));
+    let owner = accessory.context.location ? this.locations.find(candidate => candidate.id === accessory.context.location) : this.firstLocation;
 
-    this.setupCameras(state.cameras);
+    if (!owner) {
+        this.orphanedAccessories.push(accessory);
+        return;
+    }
 
-    this.adt.on('state', this.updateState.bind(this));
+    owner.configureAccessory(accessory);
 };
 
-smartSecurityPlatform.prototype.setupCameras = async function (cameras) {
-    this.cameraAccesories = this.cachedCameraAccessories;
-
-    cameras
-        .filter(cam => !this.cachedCameraAccessories.some(cached => cached.name === cam.name))
-        .forEach(cam => {
-            let newCamera = camera.with(cam, this.adt, this.log, hap, Accessory);
-
-            this.cameraAccesories.push(newCamera);
-        });
-
-    Promise.all(this.cameraAccesories)
-        .then((cameras) => {
-            this.log('Publishing %s cameras', this.cameraAccesories.length);
+smartSecurityPlatform.prototype.removeOrphanedAccessories = function () {
+    if (this.orphanedAccessories.length === 0) {
+        return;
+    }
 
-            this.cameraAccesories = cameras;
+    // They may belong to a location that could not start
+    if (this.failedLocations > 0) {
+        this.log.warn("Keeping %s cached accessories of unknown locations until every location starts", this.orphanedAccessories.length);
+        return;
+    }
 
-            this.api.publishCameraAccessories("homebridge-adt-smart-security", this.cameraAccesories.map(camera => camera.getAccessory()));
-        });
-};
+    this.log("Removing %s accessories of locations no longer configured:", this.orphanedAccessories.length, this.orphanedAccessories.map(accessory => accessory.displayName).join(', '));
 
-smartSecurityPlatform.prototype.updateState = function (state) {
-    this.log.debug("Updating platform accessories with", JSON.stringify(state));
-    this.platformAccessories.forEach(accessory => accessory.updateCharacteristics(state));
+    this.api.unregisterPlatformAccessories("homebridge-adt-smart-security", "ADT", this.orphanedAccessories);
+    this.orphanedAccessories = [];
 };
 
 module.exports = function (homebridge) {
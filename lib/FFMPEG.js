@@ -4,6 +4,7 @@ let ip = require('ip');
 let spawn = require('child_process').spawn;
 let URL = require('url');
 let crypto = require('crypto');
+let metrics = require('./metrics');
 
 const FFMPEG = function (hap, cameraName, startFeedSupplier, stopFeedSupplier, imageSupplier, cachedImageSupplier, log) {
     this.log = log;
@@ -262,6 +263,8 @@ FFMPEG.prototype = {
                             this.log.debug(ffmpegCommand);
 
                             let ffmpegSession = spawn('ffmpeg', ffmpegCommand.split(' '), {env: process.env});
+                            // Without a pid ffmpeg could not be started, the error handler counts the failure
+                            let started = !!ffmpegSession.pid;
                             let that = this;
 
                             ffmpegSession.stderr.on('data', function (data) {
@@ -270,9 +273,15 @@ FFMPEG.prototype = {
 
                             ffmpegSession.on('error', function (error) {
                                 that.log.error("An error occurred while requesting the stream");
+
+                                if (!started) {
+                                    metrics.streamSessions.inc({outcome: 'failed'});
+                                }
                             });
 
                             ffmpegSession.on('close', function (code) {
+                                metrics.ffmpegExits.inc({code: code == null ? 'signal' : code});
+
                                 if (code == null || code === 0 || code === 255) {
                                     that.log.debug("Stream successfully closed");
                                 } else {
@@ -284,8 +293,15 @@ FFMPEG.prototype = {
                             });
 
                             this.ongoingSessions[sessionIdentifier] = ffmpegSession;
+
+                            if (started) {
+                                metrics.streamSessions.inc({outcome: 'started'});
+                            }
                         })
-                        .catch(error => this.log.error('Could not establish stream', error));
+                        .catch(error => {
+                            this.log.error('Could not establish stream', error);
+                            metrics.streamSessions.inc({outcome: 'failed'});
+                        });
                 }
 
                 delete this.pendingSessions[sessionIdentifier];
@@ -1,32 +1,75 @@
 const events = require('events');
 const cheerio = require('cheerio');
-const request = require('request-promise');
 const nodeCache = require('node-cache');
-
-const HTTPS = 'https://';
+const SessionStore = require('./sessionStore').SessionStore;
+const dashboardParser = require('./dashboardParser');
+const CircuitBreaker = require('./circuitBreaker').CircuitBreaker;
+const CommandQueue = require('./commandQueue').CommandQueue;
+const DisarmGuard = require('./disarmGuard').DisarmGuard;
+const alarmModes = require('./alarmModes');
+const metrics = require('./metrics');
+const PortalClient = require('./portalClient').PortalClient;
+const SessionRejectedError = require('./portalClient').SessionRejectedError;
+const credentials = require('./credentials');
+const redact = require('./redactingLog').redact;
+
+const DEFAULT_PROTOCOL = 'https';
 const LOGIN_PATH = '/selfcare/j_spring_security_check';
 const DASHBOARD_PATH = '/selfcare/dashboard.xhtml';
 const FRONTPAGE_PATH = '/selfcare/frontpage.xhtml';
 const VIDEO_CONTROLLER_PATH = '/selfcare/rest/videoController';
 const STATUS = 'status';
+const HOME_MODE = 'home';
+const AWAY_MODE = 'away';
+const EMERGENCIES = ['panic', 'medical', 'fire'];
+
+class LoginRejectedError extends Error {
+    constructor() {
+        super('Login failed. Please check supplied credentials');
+    }
+}
 
 class Adt extends events.EventEmitter {
-    constructor(config, log) {
+    constructor(config, log, storagePath) {
         super();
 
-        this.log = log;
+        let resolvedCredentials = credentials.resolve(config);
+
+        this.log = redact(log);
         this.name = config.name;
-        this.username = config.username;
-        this.password = config.password;
+        this.username = resolvedCredentials.username;
+        this.password = resolvedCredentials.password;
         this.envDomain = config.domain;
+        this.protocol = config.protocol || DEFAULT_PROTOCOL;
         this.cacheTTL = config.cacheTTL || 5;
+        this.armingTimeout = config.armingTimeout || 90;
         this.sensorsToBypass = config.sensorsToBypass || [];
+        this.nightMode = config.nightMode;
 
         if (!this.username || !this.password || !this.envDomain) {
             throw new Error('Missing parameter. Please check configuration.');
         }
 
-        this.cookieJar;
+        this.log.addSecret(this.password);
+
+        this.baseUrl = this.protocol + '://' + this.envDomain;
+        this.closed = false;
+        this.nightArmed = false;
+        this.alarmTriggered = false;
+        this.armedState = undefined;
+        this.motionDetected = [];
+        this.circuitBreaker = new CircuitBreaker(config.recovery, this.log);
+        this.disarmGuard = config.disarmSafeguards ? new DisarmGuard(config.disarmSafeguards, this.log) : undefined;
+        this.recovering = false;
+        this.commandQueue = new CommandQueue(this.log);
+        this.client = new PortalClient({
+            baseUrl: this.baseUrl,
+            domain: this.envDomain,
+            http: config.http,
+            relogin: () => this.relogin()
+        }, this.log, config.transport);
+        this.sessionStore = storagePath && config.persistSession !== false ? new SessionStore(storagePath, this.getAccountId(), this.log) : undefined;
+
         this.loginCookie;
         this.loginCSRFToken;
         this.serverCookie;
@@ -37,8 +80,15 @@ class Adt extends events.EventEmitter {
         this.homeAction;
         this.awayAction;
         this.disarmAction;
+        this.nightAction;
+        this.emergencyActions = {};
+        this.mainPartition;
+        this.partitionActions = {};
+        this.partitionTargets = {};
+        this.sensorBypasses = [];
+        this.openSensors = [];
 
-        this.log.debug('Initializing with username=%s, password=%s, cacheTTL=%s, domain=%s', this.username, this.password, this.cacheTTL, this.envDomain);
+        this.log.debug('Initializing with username=%s, cacheTTL=%s, domain=%s', this.username, this.cacheTTL, this.envDomain);
 
         this.statusCache = new nodeCache({
             stdTTL: this.cacheTTL,
@@ -52,33 +102,53 @@ class Adt extends events.EventEmitter {
     }
 
     async init() {
-        try {
-            this.log('Initializing status...');
+        this.log('Initializing status...');
 
-            this.log.debug('Enabling autoRefresh every %s seconds', this.statusCache.options.stdTTL);
+        this.log.debug('Enabling autoRefresh every %s seconds', this.statusCache.options.stdTTL);
 
-            this.statusCache
-                .on('set', (key, state) => {
-                    if (state && state.alarm) this.emit('state', state);
-                })
-                .on('expired', (key) => {
-                    this.log.debug(key + ' expired');
-
-                    this.getStatusFromDevice()
-                        .then((state) => {
-                            this.statusCache.set(STATUS, state);
-                        })
-                        .catch((error) => {
-                            this.log.error('Failed refreshing status. Waiting for recovery.', error.message);
-                            this.log.debug(error);
-                            this.statusCache.del(STATUS);
-                            this.emit('error');
-                        });
-                });
+        this.statusCache
+            .on('set', (key, state) => {
+                if (state && state.alarm) this.emit('state', state);
+            })
+            .on('expired', (key) => {
+                this.log.debug(key + ' expired');
+
+                this.getStatusFromDevice()
+                    .then((state) => {
+                        this.statusCache.set(STATUS, state);
+                    })
+                    .catch((error) => {
+                        this.log.error('Failed refreshing status. Waiting for recovery.', error.message);
+                        this.log.debug(error);
+                        this.statusCache.del(STATUS);
+                        this.emit('error');
+                    });
+            });
+
+        await this.connect();
+    }
+
+    /**
+     * Logs in and fetches the first status. Transport and portal failures are
+     * retried with the backoff of the circuit breaker until it works or the
+     * session is closed, rejected credentials are not retried.
+     */
+    async connect() {
+        if (this.closed) {
+            return;
+        }
+
+        try {
+            if (!(await this.restoreSession())) {
+                await this.login();
+            }
 
-            await this.login();
             let state = await this.getStatusFromDevice();
 
+            if (this.circuitBreaker.recordSuccess()) {
+                this.emit('circuit', this.circuitBreaker.getState());
+            }
+
             this.statusCache.set(STATUS, state);
 
             this.log.debug('ADT platform initialized', JSON.stringify(state));
@@ -86,6 +156,22 @@ class Adt extends events.EventEmitter {
             this.emit('init', state);
         } catch (error) {
             this.log.error('Initialization failed', error);
+
+            if (error instanceof LoginRejectedError) {
+                this.emit('sessionFailed', {reason: error.message});
+                return;
+            }
+
+            let failure = this.circuitBreaker.recordFailure();
+
+            if (failure.opened) {
+                this.emit('circuit', this.circuitBreaker.getState());
+                this.emit('sessionFailed', {reason: error.message});
+            }
+
+            this.log.warn('Retrying initialization in %s seconds', (failure.delay / 1000).toFixed(1));
+
+            this.initTimer = setTimeout(() => this.connect(), failure.delay);
         }
     }
 
@@ -93,80 +179,222 @@ class Adt extends events.EventEmitter {
         return this.statusCache.get(STATUS);
     }
 
-    setState(status) {
-        this.targetState = status;
+    getCircuitState() {
+        return this.circuitBreaker.getState();
+    }
+
+    /**
+     * Identifies the ADT account, the same across restarts and name changes.
+     */
+    getAccountId() {
+        return this.envDomain + ':' + this.username;
+    }
+
+    /**
+     * Arms or disarms the main partition, or the given one on installations
+     * with several. Only the main partition bypasses sensors to arm. Disarm
+     * requests go through the disarm safeguards first, logged with the origin
+     * of the request.
+     */
+    setState(status, partition, origin) {
+        partition = this.isMainPartition(partition) ? undefined : partition;
+
+        metrics.stateCommands.inc({mode: alarmModes.nameOf(status)});
+
+        if (status === 3 && this.disarmGuard) {
+            let refusal = this.disarmGuard.check(origin || 'an unknown origin');
+
+            if (refusal) {
+                this.recordOutcome(status, 'refused');
+                return refusal;
+            }
+        }
+
+        let previousTargetState = this.getTargetState(partition);
+
+        this.setTargetState(partition, status);
 
         let currentStatus = this.getState();
+        let currentAlarm = this.alarmOf(currentStatus, partition);
 
-        if (currentStatus && currentStatus.alarm) {
-            if (currentStatus.alarm.armingState === status) {
+        if (partition && currentStatus && !currentAlarm) {
+            this.setTargetState(partition, undefined);
+            this.recordOutcome(status, 'failed');
+
+            return new Error('Unknown partition: ' + partition);
+        }
+
+        if (currentAlarm) {
+            if (currentAlarm.armingState === status && previousTargetState === undefined) {
                 this.log.debug('No status change needed');
-                this.targetState = undefined;
+                this.setTargetState(partition, undefined);
+                this.recordOutcome(status, 'unchanged');
 
                 return null;
-            } else if (currentStatus.alarm.armingState === 3 && currentStatus.alarm.faultStatus === 1 && !this.isBypassable()) {
-                this.log.error("Can't arm system. System is not ready.");
-                this.targetState = undefined;
+            } else if (currentAlarm.armingState === 3 && currentAlarm.faultStatus === 1 && status !== 3 && (partition || !this.isBypassable(status))) {
+                let message = partition ? "Can't arm partition " + currentAlarm.name + ". Partition is not ready." : "Can't arm system. System is not ready.";
 
-                return new Error("Can't arm system. System is not ready.");
+                this.log.error(message);
+                this.setTargetState(partition, undefined);
+                this.recordOutcome(status, 'not_ready');
+                this.emit('stateFailed', {status: status, partition: partition, reason: message});
+
+                return new Error(message);
             }
         }
 
-        this.log('Setting status to', status);
-        this.sendStateToDevice(status);
+        this.log('Setting status%s to', this.describePartition(partition), status);
+        this.queueCommand(partition ? 'state:' + partition : 'state', 'set status' + this.describePartition(partition) + ' to ' + status, () => this.sendStateToDevice(status, partition))
+            .then(() => this.confirmState(status, partition))
+            .catch(error => this.rejectState(status, error.message, partition));
 
         return null;
     }
 
-    isBypassable() {
+    recordOutcome(status, outcome) {
+        metrics.stateOutcomes.inc({mode: alarmModes.nameOf(status), outcome: outcome});
+    }
+
+    isMainPartition(partition) {
+        return partition === undefined || partition === this.mainPartition;
+    }
+
+    getTargetState(partition) {
+        return partition ? this.partitionTargets[partition] : this.targetState;
+    }
+
+    setTargetState(partition, status) {
+        if (partition) {
+            this.partitionTargets[partition] = status;
+        } else {
+            this.targetState = status;
+        }
+    }
+
+    /**
+     * The alarm status of a partition, the main partition's is state.alarm.
+     */
+    alarmOf(state, partition) {
+        if (!state || !state.alarm) {
+            return undefined;
+        }
+
+        return partition ? (state.partitions || []).find(candidate => candidate.id === partition) : state.alarm;
+    }
+
+    describePartition(partition) {
+        let alarm = partition && this.alarmOf(this.getState(), partition);
+
+        return partition ? ' of partition ' + (alarm ? alarm.name : partition) : '';
+    }
+
+    isBypassable(status) {
         let currentState = this.getState();
-        return !currentState || currentState.contactSensors.filter(sensor => !sensor.status).every(sensor => this.sensorsToBypass.indexOf(sensor.name) > -1);
+        let sensorsToBypass = status === 2 ? this.sensorsToBypass.concat(this.getNightSensorsToBypass()) : this.sensorsToBypass;
+
+        return !currentState || currentState.contactSensors.filter(sensor => !sensor.status && !sensor.bypassed).every(sensor => sensorsToBypass.indexOf(sensor.name) > -1);
+    }
+
+    isNightModeSupported() {
+        return !!this.nightMode;
+    }
+
+    getNightSensorsToBypass() {
+        return this.nightMode && this.nightMode.sensorsToBypass || [];
+    }
+
+    getNightBaseMode() {
+        let action = this.nightMode && this.nightMode.action || HOME_MODE;
+
+        return action === HOME_MODE || action === AWAY_MODE ? action : undefined;
+    }
+
+    async restoreSession() {
+        let session = this.sessionStore && await this.sessionStore.load();
+
+        if (!session || !session.cookies || !session.csrf_token) {
+            return false;
+        }
+
+        this.client.setCookies(session.cookies);
+
+        this.loginCookie = session.loginCookie;
+        this.serverCookie = session.serverCookie;
+        this.csrf_token = session.csrf_token;
+        this.viewState = session.viewState;
+
+        [this.loginCookie, this.serverCookie, this.csrf_token].forEach(secret => this.log.addSecret(secret));
+
+        this.log('Restored saved session for', this.username);
+
+        return true;
+    }
+
+    async saveSession() {
+        if (!this.sessionStore || !this.csrf_token) {
+            return;
+        }
+
+        await this.sessionStore.save({
+            cookies: this.client.getCookies(),
+            loginCookie: this.loginCookie,
+            serverCookie: this.serverCookie,
+            csrf_token: this.csrf_token,
+            viewState: this.viewState
+        });
+    }
+
+    /**
+     * Drops the saved session the portal rejected before logging in again, so
+     * a failed login does not leave it to be restored on the next start.
+     */
+    async relogin() {
+        if (this.sessionStore) {
+            await this.sessionStore.clear();
+        }
+
+        await this.login();
     }
 
     async login() {
-        this.cookieJar = new request.jar();
+        metrics.logins.inc();
 
-        let options = {
-            jar: this.cookieJar,
-            uri: HTTPS + this.envDomain,
-            resolveWithFullResponse: true,
-            headers: {
-                'Host': this.envDomain,
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
-                'Expires': -1,
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive'
-            }
-        };
+        try {
+            await this.authenticate();
+        } catch (error) {
+            metrics.loginFailures.inc();
+            throw error;
+        }
+    }
 
-        await request(options)
-            .then((response) => {
-                if (response.headers['set-cookie']) {
-                    this.loginCookie = response.headers['set-cookie'].filter(cookie => cookie.startsWith('JSESSION'))[0];
-                    this.loginCookie = this.loginCookie.substring(0, this.loginCookie.indexOf(';'));
-                    this.serverCookie = response.headers['set-cookie'].filter(cookie => cookie.startsWith('BIGipServerTYCO'))[0];
-                    this.serverCookie = this.serverCookie.substring(0, this.serverCookie.indexOf(';'));
-                    this.loginCSRFToken = cheerio.load(response.body)('input[name=_csrf]').val();
-                }
-            });
+    async authenticate() {
+        this.client.resetCookies();
+
+        let response = await this.client.send({
+            path: '',
+            session: false
+        });
+
+        if (response.headers['set-cookie']) {
+            this.loginCookie = response.headers['set-cookie'].filter(cookie => cookie.startsWith('JSESSION'))[0];
+            this.loginCookie = this.loginCookie.substring(0, this.loginCookie.indexOf(';'));
+            this.serverCookie = response.headers['set-cookie'].filter(cookie => cookie.startsWith('BIGipServerTYCO'))[0];
+            this.serverCookie = this.serverCookie.substring(0, this.serverCookie.indexOf(';'));
+            this.loginCSRFToken = cheerio.load(response.body)('input[name=_csrf]').val();
+        }
+
+        [this.loginCookie, this.serverCookie, this.loginCSRFToken].forEach(secret => this.log.addSecret(secret));
 
         this.log.debug('Using username', this.username);
-        this.log.debug('Using password', this.password);
         this.log.debug('Obtained login cookie', this.loginCookie);
         this.log.debug('Obtained CSRF login token', this.loginCSRFToken);
         this.log.debug('Obtained server cookie', this.serverCookie);
 
-        options = {
-            jar: this.cookieJar,
+        response = await this.client.send({
             method: 'POST',
-            uri: HTTPS + this.envDomain + LOGIN_PATH,
-            resolveWithFullResponse: true,
-            followAllRedirects: true,
+            path: LOGIN_PATH,
+            session: false,
+            followRedirects: true,
             form: {
                 'j_username': this.username,
                 'j_password': this.password,
@@ -174,169 +402,297 @@ class Adt extends events.EventEmitter {
                 '_csrf': this.loginCSRFToken
             },
             headers: {
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + FRONTPAGE_PATH,
-                'Host': this.envDomain,
+                'Origin': this.baseUrl,
+                'Referer': this.baseUrl + FRONTPAGE_PATH,
                 'Cookie': this.loginCookie + '; ' + this.serverCookie,
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
-                'Expires': -1,
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive'
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
             }
-        };
+        });
 
-        let response = await request(options);
+        let $ = cheerio.load(response.body);
 
-        this.csrf_token = cheerio.load(response.body)('input[name=_csrf]').val();
+        this.csrf_token = $('input[name=_csrf]').val();
+        this.log.addSecret(this.csrf_token);
         this.log.debug('Got CSRF Token', this.csrf_token);
 
         if (this.csrf_token === this.loginCSRFToken) {
-            throw new Error('Login failed. Please check supplied credentials');
+            throw new LoginRejectedError();
         }
 
+        // Login lands on the dashboard, so actions can be posted right away
+        this.viewState = $('input[name=javax\\.faces\\.ViewState]').val() || this.viewState;
+
         this.log('Logged in as', this.username);
+
+        await this.saveSession();
     }
 
     async getStatusFromDevice() {
         let state = {
             alarm: {},
             contactSensors: [],
+            motionSensors: [],
             cameras: []
         };
 
-        let options = {
-            jar: this.cookieJar,
-            uri: HTTPS + this.envDomain + DASHBOARD_PATH,
-            headers: {
-                'X-CSRF-TOKEN': this.csrf_token,
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'Accept': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
-                'Expires': -1,
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive'
-            }
-        };
-
         this.log.debug('Fetching status...');
 
-        await request(options)
-            .then((response) => {
-                let $ = cheerio.load(response);
+        let fetched = metrics.dashboardFetchDuration.startTimer();
+        let response;
 
-                //Alarm
+        try {
+            response = (await this.client.send({
+                path: DASHBOARD_PATH,
+                headers: () => ({
+                    'X-CSRF-TOKEN': this.csrf_token,
+                    'Origin': this.baseUrl,
+                    'Referer': this.baseUrl + DASHBOARD_PATH,
+                    'Accept': 'application/json'
+                })
+            })).body;
+        } finally {
+            fetched();
+        }
 
-                let activeButton = $('#activationButtons .active');
-                let notReady = $('#activationButtons .OFF_NOT_READY');
-                let batteryLevel = $('#j_idt135\\3A batteryLevelPanel');
+        let dashboard = dashboardParser.parse(response, {nightButton: this.getNightBaseMode() ? undefined : this.nightMode.action});
 
-                this.systemReady = true;
+        if (dashboard.loginPage) {
+            throw new SessionRejectedError();
+        }
 
-                if (activeButton.hasClass('left')) {
-                    state.alarm.armingState = 3; // DISARMED
-                } else if (activeButton.hasClass('center')) {
-                    state.alarm.armingState = 0; // HOME
-                } else if (activeButton.hasClass('right')) {
-                    state.alarm.armingState = 1; // AWAY
-                } else if (notReady.hasClass('left')) {
-                    state.alarm.armingState = 3; // DISARMED
-                    state.alarm.faultStatus = 1;  // NOT READY
-                    this.systemReady = false;
-                }
+        this.reportUnparsedFields(dashboard.unparsed);
 
-                state.alarm.lowBatteryStatus = 0;
+        if (dashboard.alarm.armingState === undefined) {
+            metrics.parseFailures.inc({field: 'status'});
+            this.log.debug(response);
+            throw new Error('Unexpected status response.');
+        }
 
-                if (batteryLevel.hasClass('lev1')) {
-                    state.alarm.batteryLevel = 10;
-                    state.alarm.lowBatteryStatus = 1;
-                } else if (batteryLevel.hasClass('lev2')) {
-                    state.alarm.batteryLevel = 50;
-                } else {
-                    state.alarm.batteryLevel = 100;
-                }
+        //Alarm
 
-                // Contact sensors
+        this.systemReady = !dashboard.alarm.notReady;
 
-                $('.openDoorDash').each((index, element) => {
-                    let contactSensor = {
-                        name: element.parent.attribs.title,
-                        status: element.attribs.class.endsWith('off')
-                    };
+        state.alarm.armingState = dashboard.alarm.armingState;
 
-                    state.contactSensors.push(contactSensor);
-                });
+        if (dashboard.alarm.notReady) {
+            state.alarm.faultStatus = 1;  // NOT READY
+        }
 
-                // Actions
-
-                this.viewState = $('input[type=hidden][name=javax\\.faces\\.ViewState]').val();
-                this.homeAction = $('#activationButtons li.center a[title]').attr('id');
-                this.awayAction = $('#activationButtons li.right a[title]').attr('id');
-                this.disarmAction = $('#activationButtons li.left a[title]').attr('id');
-
-                this.bypassableSensorActions = $('.protección span .dashboardDevice .turning').children()
-                    .filter((sensorIndex, sensor) => this.sensorsToBypass.indexOf(sensor.attribs.title) > -1)
-                    .map((sensorIndex, sensor) => sensor.parent)
-                    .map((sensorIndex, sensor) => sensor.children)
-                    .filter((sensorIndex, sensor) => sensor.attribs && sensor.attribs.style && sensor.attribs.style.indexOf('display: flex') > -1)
-                    .map((sensorIndex, sensor) => sensor.children)
-                    .filter((sensorIndex, sensor) => sensor.attribs && sensor.attribs.class && sensor.attribs.class.indexOf('deviceActivationButtons1') > -1)
-                    .map((sensorIndex, sensor) => sensor.children)
-                    .filter((sensorIndex, sensor) => sensor.attribs && sensor.attribs.class && sensor.attribs.class.indexOf('bypass-link') > -1)
-                    .map((sensorIndex, sensor) => sensor.attribs.id)
-                    .toArray();
-
-                if (state.alarm.armingState === undefined) {
-                    this.log.debug(response);
-                    throw new Error('Unexpected status response.');
-                }
+        state.alarm.batteryLevel = dashboard.alarm.batteryLevel;
+        state.alarm.lowBatteryStatus = dashboard.alarm.lowBatteryStatus;
 
-                $('.cameraViewer.cameraThumbnail').each((index, element) => {
-                    let cameraId = (element.attribs.id.split('_')[1]);
-                    let cameraName = element.children.find((child) => child.attribs && child.attribs.class === 'name').attribs.title;
+        // Sensors
 
-                    state.cameras.push({
-                        id: cameraId,
-                        name: cameraName
-                    })
-                });
-            });
+        this.sensorBypasses = dashboard.bypasses;
+        state.contactSensors = dashboard.contactSensors;
+        state.motionSensors = dashboard.motionSensors;
+
+        this.openSensors = state.contactSensors.filter(sensor => !sensor.status).map(sensor => sensor.name);
+
+        // Actions
+
+        this.viewState = dashboard.actions.viewState;
+        this.homeAction = dashboard.actions.home;
+        this.awayAction = dashboard.actions.away;
+        this.disarmAction = dashboard.actions.disarm;
+        this.nightAction = dashboard.actions.night;
+        EMERGENCIES.forEach(emergency => this.emergencyActions[emergency] = dashboard.actions[emergency]);
+
+        this.bypassableSensorActions = this.getBypassActions(this.sensorsToBypass);
+
+        if (state.alarm.armingState === 3) {
+            this.nightArmed = false;
+        } else if (this.isNightCombinationActive(state.alarm.armingState)) {
+            state.alarm.armingState = 2; // NIGHT
+        }
+
+        // Alarm triggered
+
+        state.alarm.armedState = state.alarm.armingState;
+        state.alarm.triggered = dashboard.alarm.triggered;
+        state.alarm.triggeredZone = state.alarm.triggered ? dashboard.alarm.triggeredZones.join(', ') || undefined : undefined;
+
+        if (state.alarm.triggered) {
+            state.alarm.armingState = 4; // ALARM_TRIGGERED
+        }
+
+        if (state.alarm.triggered && !this.alarmTriggered) {
+            this.log.warn('Alarm triggered by', state.alarm.triggeredZone || 'unknown zone');
+            this.emit('triggered', {zone: state.alarm.triggeredZone});
+        } else if (!state.alarm.triggered && this.alarmTriggered) {
+            this.log('Alarm cleared');
+            this.emit('cleared', {});
+        }
+
+        this.alarmTriggered = state.alarm.triggered;
+
+        // Arming changes, the first status is not a change
+
+        if (this.armedState !== undefined && state.alarm.armedState !== this.armedState) {
+            this.emit(state.alarm.armedState === 3 ? 'disarmed' : 'armed', {status: state.alarm.armedState, previous: this.armedState});
+        }
+
+        this.armedState = state.alarm.armedState;
 
-        state.alarm.targetState = this.targetState !== undefined ? this.targetState : state.alarm.armingState;
+        this.reportMotion(state);
+
+        state.cameras = dashboard.cameras;
+        state.unparsedFields = dashboard.unparsed;
+
+        state.alarm.targetState = this.targetState !== undefined ? this.targetState : state.alarm.armedState;
+
+        // Partitions
+
+        if (dashboard.partitions.length > 1) {
+            this.mainPartition = dashboard.partitions[0].id;
+            this.partitionActions = {};
+            dashboard.partitions.forEach(partition => this.partitionActions[partition.id] = partition.actions);
+
+            state.partitions = dashboard.partitions.map((partition, index) => index === 0 ? this.partitionStatus(partition, state.alarm) : this.partitionStatus(partition, {
+                armingState: partition.triggered ? 4 : partition.armingState,
+                armedState: partition.armingState,
+                faultStatus: partition.notReady ? 1 : undefined,
+                triggered: partition.triggered,
+                targetState: this.partitionTargets[partition.id] !== undefined ? this.partitionTargets[partition.id] : partition.armingState
+            }));
+        }
+
+        await this.saveSession();
 
         this.log.debug('Got status', JSON.stringify(state));
 
         return state;
     }
 
+    partitionStatus(partition, alarm) {
+        return {
+            id: partition.id,
+            name: partition.name,
+            armingState: alarm.armingState,
+            armedState: alarm.armedState,
+            faultStatus: alarm.faultStatus,
+            triggered: alarm.triggered,
+            targetState: alarm.targetState
+        };
+    }
+
+    reportUnparsedFields(unparsed) {
+        unparsed.forEach(field => metrics.parseFailures.inc({field: field}));
+
+        let fields = unparsed.join(', ');
+
+        if (fields && fields !== this.unparsedFields) {
+            this.log.warn('Could not parse %s from the dashboard. The ADT portal may have changed', fields);
+        }
+
+        this.unparsedFields = fields;
+    }
+
+    reportMotion(state) {
+        let armed = [0, 1, 2].indexOf(state.alarm.armedState) > -1;
+
+        state.motionSensors
+            .filter(sensor => sensor.motionDetected && this.motionDetected.indexOf(sensor.name) === -1)
+            .forEach(sensor => {
+                if (armed) {
+                    this.log.warn('Motion detected by %s while armed', sensor.name);
+                } else {
+                    this.log.debug('Motion detected by', sensor.name);
+                }
+
+                this.emit('motion', {
+                    name: sensor.name,
+                    armed: armed
+                });
+            });
+
+        this.motionDetected = state.motionSensors
+            .filter(sensor => sensor.motionDetected)
+            .map(sensor => sensor.name);
+    }
+
+    getBypassActions(sensorNames) {
+        return this.sensorBypasses
+            .filter(bypass => sensorNames.indexOf(bypass.name) > -1 && !bypass.bypassed)
+            .map(bypass => bypass.action);
+    }
+
+    isNightCombinationActive(armingState) {
+        let nightBaseMode = this.getNightBaseMode();
+
+        if (!this.isNightModeSupported() || !nightBaseMode || armingState !== (nightBaseMode === HOME_MODE ? 0 : 1)) {
+            return false;
+        }
+
+        let nightSensors = this.getNightSensorsToBypass();
+
+        if (nightSensors.length === 0) {
+            return this.nightArmed;
+        }
+
+        return nightSensors.every(name => this.sensorBypasses.some(bypass => bypass.name === name && bypass.bypassed));
+    }
+
     async attemptToRecoverFromFailure() {
+        if (this.closed || this.recovering) {
+            return;
+        }
+
+        this.recovering = true;
+
         try {
             this.log.warn('Attempting failure recovery');
 
-            await this.login();
-            this.statusCache.set(STATUS, await this.getStatusFromDevice());
+            let state = await this.getStatusFromDevice();
+
+            this.recovering = false;
+            metrics.recoveryAttempts.inc({outcome: 'success'});
+
+            if (this.circuitBreaker.recordSuccess()) {
+                this.emit('circuit', this.circuitBreaker.getState());
+            }
+
+            this.statusCache.set(STATUS, state);
 
             this.log.info('Recovered from error');
         } catch (error) {
             this.log.warn('Still failing', error.message);
             this.log.debug(error);
-            setTimeout(() => this.emit('error'), 3000);
+            metrics.recoveryAttempts.inc({outcome: 'failure'});
+
+            let failure = this.circuitBreaker.recordFailure();
+
+            if (failure.opened) {
+                this.emit('circuit', this.circuitBreaker.getState());
+                this.emit('sessionFailed', {reason: error.message});
+            }
+
+            this.log.warn('Retrying recovery in %s seconds', (failure.delay / 1000).toFixed(1));
+
+            this.recoveryTimer = setTimeout(() => {
+                this.recovering = false;
+                this.emit('error');
+            }, failure.delay);
         }
     }
 
-    async sendStateToDevice(state) {
+    close() {
+        this.log.debug('Closing ADT session');
+        this.closed = true;
+        clearTimeout(this.initTimer);
+        clearTimeout(this.recoveryTimer);
+        clearTimeout(this.confirmationTimer);
+        this.commandQueue.clear();
+        this.statusCache.close();
+    }
+
+    async sendStateToDevice(state, partition) {
         let action;
 
+        if (partition) {
+            return this.sendPartitionStateToDevice(state, partition);
+        }
+
         switch (state) {
             case 0:
                 action = this.homeAction;
@@ -344,6 +700,9 @@ class Adt extends events.EventEmitter {
             case 1:
                 action = this.awayAction;
                 break;
+            case 2:
+                action = this.getNightAction();
+                break;
             case 3:
                 action = this.disarmAction;
                 break;
@@ -351,53 +710,243 @@ class Adt extends events.EventEmitter {
                 throw new Error('Mode not supported');
         }
 
-        this.targetState = state;
+        if ((state === 0 || state === 1) && this.armedState === 2) {
+            await this.removeNightBypasses();
+        }
 
-        this.log.debug('Stopping auto refresh');
-        this.statusCache.del(STATUS);
+        let bypassActions = state === 2 ? this.getBypassActions(this.getNightSensorsToBypass()) : [];
 
-        if ((state === 0 || state === 1) && !this.systemReady) {
-            await this.bypassSensors();
+        if ((state === 0 || state === 1 || state === 2) && !this.systemReady) {
+            bypassActions = bypassActions.concat(this.bypassableSensorActions.filter(sensor => bypassActions.indexOf(sensor) === -1));
         }
 
-        this.execute(action)
-            .then(() => {
-                this.log('Status set to', this.targetState);
+        if (bypassActions.length > 0) {
+            await this.bypassSensors(bypassActions);
+        }
 
-                setTimeout(() => {
-                    if (this.targetState === state) {
-                        this.targetState = undefined;
-                        this.log.debug('Target state reset');
-                    }
-                }, 20000);
-            })
-            .catch((error) => {
-                this.log.error('Error while setting state to', state, error);
-                this.targetState = undefined;
-            })
-            .finally(async () => {
-                this.log.debug('Resuming auto refresh');
-                this.statusCache.set(STATUS, await this.getStatusFromDevice(), 1);
-            });
+        await this.execute(action);
+        this.nightArmed = state === 2;
+        this.log('Status change to %s sent. Waiting for confirmation', state);
     }
 
-    async bypassSensors() {
+    /**
+     * Partitions other than the main one offer home, away and disarm only.
+     */
+    async sendPartitionStateToDevice(state, partition) {
+        let actions = this.partitionActions[partition];
+
+        if (!actions) {
+            throw new Error('Unknown partition: ' + partition);
+        }
+
+        let action = {0: actions.home, 1: actions.away, 3: actions.disarm}[state];
+
+        if (!action) {
+            throw new Error('Mode not supported');
+        }
+
+        await this.execute(action);
+        this.log('Status change%s to %s sent. Waiting for confirmation', this.describePartition(partition), state);
+    }
+
+    /**
+     * Queues a portal command. Auto refresh is paused while it runs, and the
+     * dashboard is read first so the command posts the current ViewState and
+     * sees the current bypass status.
+     */
+    queueCommand(key, description, run) {
+        return this.commandQueue.push(key, description, async () => {
+            this.log.debug('Stopping auto refresh');
+            this.statusCache.del(STATUS);
+
+            try {
+                await this.getStatusFromDevice();
+
+                return await run();
+            } finally {
+                await this.resumeAutoRefresh();
+            }
+        });
+    }
+
+    /**
+     * Polls the dashboard until the panel reports the requested state. The
+     * panel refuses to arm right away, so only the first poll after the action
+     * is checked for a not ready system; afterwards an exit delay may be
+     * running and doors may open while the user leaves.
+     */
+    async confirmState(state, partition) {
+        let deadline = Date.now() + this.armingTimeout * 1000;
+        let firstPoll = true;
+
+        while (this.getTargetState(partition) === state && !this.closed) {
+            let currentAlarm = this.alarmOf(this.getState(), partition);
+
+            if (currentAlarm && currentAlarm.armingState === state) {
+                this.log('Status%s set to', this.describePartition(partition), state);
+                this.setTargetState(partition, undefined);
+                this.recordOutcome(state, 'confirmed');
+                return;
+            }
+
+            if (firstPoll && currentAlarm && state !== 3 && currentAlarm.armingState === 3 && currentAlarm.faultStatus === 1) {
+                return this.rejectState(state, (partition ? 'Partition' : 'System') + ' is not ready.', partition);
+            }
+
+            if (Date.now() >= deadline) {
+                return this.rejectState(state, 'Not confirmed by the panel after ' + this.armingTimeout + ' seconds.', partition);
+            }
+
+            firstPoll = false;
+
+            await new Promise(resolve => this.confirmationTimer = setTimeout(resolve, this.cacheTTL * 1000));
+        }
+    }
+
+    rejectState(state, reason, partition) {
+        if (this.getTargetState(partition) !== state) {
+            return;
+        }
+
+        this.log.error('Could not set status%s to %s. %s', this.describePartition(partition), state, reason);
+        this.setTargetState(partition, undefined);
+        this.recordOutcome(state, 'failed');
+        this.emit('stateFailed', {status: state, partition: partition, reason: reason});
+
+        if (state === 2 && !partition) {
+            this.nightArmed = false;
+        }
+
+        let currentState = this.getState();
+        let currentAlarms = [this.alarmOf(currentState, partition)];
+
+        if (!partition && currentState && currentState.partitions) {
+            currentAlarms.push(currentState.partitions[0]);
+        }
+
+        currentAlarms
+            .filter(alarm => alarm)
+            .forEach(alarm => alarm.targetState = alarm.armedState);
+
+        if (currentState) {
+            this.emit('state', currentState);
+        }
+    }
+
+    async resumeAutoRefresh() {
+        this.log.debug('Resuming auto refresh');
+
+        try {
+            this.statusCache.set(STATUS, await this.getStatusFromDevice(), 1);
+        } catch (error) {
+            this.log.error('Failed refreshing status. Waiting for recovery.', error.message);
+            this.emit('error');
+        }
+    }
+
+    /**
+     * Takes the bypass off the night sensors to leave night mode for home or
+     * away, the panel keeps reading as night otherwise. Open sensors are left
+     * bypassed when they are bypassed to arm anyway, any other would go off.
+     */
+    async removeNightBypasses() {
+        let nightSensors = this.getNightSensorsToBypass().filter(name => this.openSensors.indexOf(name) === -1 || this.sensorsToBypass.indexOf(name) === -1);
+        let blocking = nightSensors.filter(name => this.openSensors.indexOf(name) > -1);
+
+        if (blocking.length > 0) {
+            throw new Error('Close ' + blocking.join(', ') + ' to leave night mode.');
+        }
+
+        let bypasses = this.sensorBypasses.filter(bypass => nightSensors.indexOf(bypass.name) > -1 && bypass.bypassed);
+
+        for (let bypass of bypasses) {
+            this.log('Removing bypass from night sensor', bypass.name);
+            await this.execute(bypass.action);
+        }
+    }
+
+    async setBypass(sensorName, bypassed) {
+        if (!this.sensorBypasses.some(sensorBypass => sensorBypass.name === sensorName)) {
+            throw new Error('Sensor cannot be bypassed: ' + sensorName);
+        }
+
+        await this.queueCommand('bypass:' + sensorName, (bypassed ? 'bypass ' : 'remove bypass from ') + sensorName, async () => {
+            let bypass = this.sensorBypasses.find(sensorBypass => sensorBypass.name === sensorName);
+
+            if (!bypass) {
+                throw new Error('Sensor cannot be bypassed: ' + sensorName);
+            }
+
+            if (bypass.bypassed === bypassed) {
+                this.log.debug('No bypass change needed for', sensorName);
+                return;
+            }
+
+            this.log(bypassed ? 'Bypassing sensor' : 'Removing bypass from sensor', sensorName);
+
+            await this.execute(bypass.action);
+        });
+    }
+
+    /**
+     * Presses a panic, medical or fire emergency button, which dispatches the
+     * ADT monitoring center.
+     */
+    async sendEmergency(emergency) {
+        if (EMERGENCIES.indexOf(emergency) === -1) {
+            throw new Error('Unknown emergency: ' + emergency);
+        }
+
+        await this.queueCommand('emergency:' + emergency, 'send ' + emergency + ' emergency', async () => {
+            let action = this.emergencyActions[emergency];
+
+            if (!action) {
+                throw new Error('Emergency button not found: ' + emergency);
+            }
+
+            this.log.warn('Sending %s emergency to ADT', emergency);
+
+            await this.execute(action);
+        });
+    }
+
+    getNightAction() {
+        if (!this.isNightModeSupported()) {
+            throw new Error('Mode not supported');
+        }
+
+        switch (this.getNightBaseMode()) {
+            case HOME_MODE:
+                return this.homeAction;
+            case AWAY_MODE:
+                return this.awayAction;
+            default:
+                if (!this.nightAction) {
+                    throw new Error('Night activation button not found: ' + this.nightMode.action);
+                }
+
+                return this.nightAction;
+        }
+    }
+
+    async bypassSensors(sensorActions = this.bypassableSensorActions) {
         this.log.warn('Bypassing sensors');
-        let bypasses = [];
-        this.bypassableSensorActions.forEach(sensor => bypasses.push(this.execute(sensor)));
 
-        await Promise.all(bypasses);
-        await setTimeout(() => this.log.warn('Bypassing done'), 1000);
+        for (let sensor of sensorActions) {
+            await this.execute(sensor);
+        }
+
+        this.log.warn('Bypassing done');
     }
 
-    execute(action) {
+    async execute(action) {
         this.log.debug('Executing', action);
 
-        let options = {
-            jar: this.cookieJar,
+        let response = await this.client.send({
             method: 'POST',
-            uri: HTTPS + this.envDomain + DASHBOARD_PATH,
-            form: {
+            kind: 'ajax',
+            path: DASHBOARD_PATH,
+            form: () => ({
                 'selfCareForm': 'selfCareForm',
                 'dummy': '',
                 '_csrf': this.csrf_token,
@@ -407,149 +956,57 @@ class Adt extends events.EventEmitter {
                 'javax.faces.partial.execute': action + ' ' + action,
                 'javax.faces.behavior.event': 'action',
                 'javax.faces.partial.ajax': true
-            },
-            headers: {
-                'Accept': '*/*',
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'Faces-Request': 'partial/ajax',
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
-                'Expires': -1,
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive'
-            }
-        };
+            })
+        });
+        let viewState = dashboardParser.parseViewState(response.body);
+
+        if (viewState) {
+            this.viewState = viewState;
+        }
 
-        return request(options);
+        return response.body;
     }
 
     startFeed(cameraId) {
         this.log.debug('Getting stream for camera', cameraId);
 
-        let options = {
-            jar: this.cookieJar,
-            method: 'POST',
-            uri: HTTPS + this.envDomain + VIDEO_CONTROLLER_PATH + '/startVideo',
-            body: {
-                deviceId: cameraId
-            },
-            json: true,
-            headers: {
-                'Accept': 'application/json, text/javascript, */*; q=0.01',
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive',
-                'X-CSRF-TOKEN': this.csrf_token,
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        };
-
-        return request(options);
+        return this.videoController('/startVideo', cameraId, false);
     }
 
     stopFeed(cameraId) {
         this.log.debug('Stopping stream for camera', cameraId);
 
-        let options = {
-            jar: this.cookieJar,
-            method: 'POST',
-            uri: HTTPS + this.envDomain + VIDEO_CONTROLLER_PATH + '/stopVideo',
-            body: {
-                deviceId: cameraId
-            },
-            json: true,
-            headers: {
-                'Accept': 'application/json, text/javascript, */*; q=0.01',
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive',
-                'X-CSRF-TOKEN': this.csrf_token,
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        };
-
-        return request(options);
+        return this.videoController('/stopVideo', cameraId, false);
     }
 
     getImage(cameraId) {
         this.log.debug('Getting still image for camera', cameraId);
 
-        let options = {
-            jar: this.cookieJar,
-            method: 'POST',
-            uri: HTTPS + this.envDomain + VIDEO_CONTROLLER_PATH + '/getImageSnapshot',
-            body: {
-                deviceId: cameraId
-            },
-            json: true,
-            headers: {
-                'Accept': 'application/json, text/javascript, */*; q=0.01',
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive',
-                'X-CSRF-TOKEN': this.csrf_token,
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        };
-
-        return request(options);
+        return this.videoController('/getImageSnapshot', cameraId, true);
     }
 
     getExistingImage(cameraId) {
         this.log.debug('Getting still image for camera', cameraId);
+        metrics.snapshotFallbacks.inc();
 
-        let options = {
-            jar: this.cookieJar,
+        return this.videoController('/getExistingImage', cameraId, true);
+    }
+
+    async videoController(operation, cameraId, idempotent) {
+        let response = await this.client.send({
             method: 'POST',
-            uri: HTTPS + this.envDomain + VIDEO_CONTROLLER_PATH + '/getExistingImage',
+            kind: 'json',
+            path: VIDEO_CONTROLLER_PATH + operation,
+            idempotent: idempotent,
             body: {
                 deviceId: cameraId
             },
-            json: true,
-            headers: {
-                'Accept': 'application/json, text/javascript, */*; q=0.01',
-                'Origin': HTTPS + this.envDomain,
-                'Referer': HTTPS + this.envDomain + DASHBOARD_PATH,
-                'Host': this.envDomain,
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36',
-                'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
-                'Accept-Encoding': 'br, gzip, deflate',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-                'Upgrade-Insecure-Requests': '1',
-                'Connection': 'keep-alive',
-                'X-CSRF-TOKEN': this.csrf_token,
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        };
+            headers: () => ({
+                'X-CSRF-TOKEN': this.csrf_token
+            })
+        });
 
-        return request(options);
+        return response.body;
     }
 }
 
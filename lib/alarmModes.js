@@ -0,0 +1,27 @@
+// HomeKit SecuritySystemCurrentState / SecuritySystemTargetState values by mode name
+const MODES = {
+    home: 0,
+    away: 1,
+    night: 2,
+    off: 3
+};
+
+const TRIGGERED = 'triggered';
+
+const stateOf = function (mode) {
+    return Object.prototype.hasOwnProperty.call(MODES, mode) ? MODES[mode] : undefined;
+};
+
+const nameOf = function (state) {
+    if (state === 4) {
+        return TRIGGERED;
+    }
+
+    return Object.keys(MODES).find(mode => MODES[mode] === state);
+};
+
+module.exports = {
+    MODES,
+    stateOf,
+    nameOf
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Whether the request carries an "Authorization: Bearer <token>" header with
+ * the given token, compared in constant time.
+ */
+const isAuthorized = function (req, token) {
+    let header = req.headers['authorization'] || '';
+    let supplied = Buffer.from(header.startsWith('Bearer ') ? header.substring(7) : '');
+    let expected = Buffer.from(String(token));
+
+    return supplied.length === expected.length && crypto.timingSafeEqual(supplied, expected);
+};
+
+module.exports = {
+    isAuthorized
+};
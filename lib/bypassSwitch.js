@@ -0,0 +1,129 @@
+let Characteristic, Service;
+
+class BypassSwitch {
+    static from(cachedAccessory, adt, log, hap) {
+        log.debug("Building bypass switch from cachedAccessory=%s", cachedAccessory.displayName);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        return new BypassSwitch(cachedAccessory.context.sensorName, undefined, log, adt, cachedAccessory);
+    }
+
+    static with(sensorInfo, adt, log, hap, platformAccessory) {
+        let name = BypassSwitch.nameFor(sensorInfo.name);
+
+        log.debug("Building new bypass switch with name=%s", name);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        let accessory = new platformAccessory(name, hap.uuid.generate(sensorInfo.id ? 'bypass:' + sensorInfo.id : name), hap.Accessory.Categories.SWITCH);
+        accessory.context.sensorName = sensorInfo.name;
+        accessory.context.zoneId = sensorInfo.id;
+
+        return new BypassSwitch(sensorInfo.name, sensorInfo.bypassed, log, adt, accessory);
+    }
+
+    static nameFor(sensorName) {
+        return sensorName + ' Bypass';
+    }
+
+    constructor(sensorName, bypassed, log, adt, platformAccessory) {
+        this.name = BypassSwitch.nameFor(sensorName);
+        this.sensorName = sensorName;
+        this.log = log;
+        this.adt = adt;
+        this.platformAccessory = platformAccessory;
+        this.zoneId = platformAccessory.context.zoneId;
+        this.switchService = this.platformAccessory.getService(Service.Switch) || this.platformAccessory.addService(Service.Switch, this.name);
+
+        this.log.debug("Initializing characteristics for", this.name);
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Manufacturer, 'ADT')
+            .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
+
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .on('get', this.getBypassed.bind(this))
+            .on('set', this.setBypassed.bind(this));
+
+        this.bypassed = !!bypassed;
+    }
+
+    getAccessory() {
+        return this.platformAccessory;
+    }
+
+    isZone(sensorInfo) {
+        return this.zoneId ? this.zoneId === sensorInfo.id : this.sensorName === sensorInfo.name;
+    }
+
+    /**
+     * Takes the zone id and name reported by ADT, renaming the switch in
+     * place when the zone was renamed in the ADT app. Returns whether
+     * anything changed.
+     */
+    identify(sensorInfo) {
+        if (this.zoneId === sensorInfo.id && this.sensorName === sensorInfo.name) {
+            return false;
+        }
+
+        if (!this.zoneId) {
+            this.log("Remembering zone id %s for bypass switch %s", sensorInfo.id, this.name);
+        }
+
+        if (sensorInfo.name !== this.sensorName) {
+            this.log("Bypass switch %s was renamed to %s in ADT", this.name, BypassSwitch.nameFor(sensorInfo.name));
+
+            this.platformAccessory.getService(Service.AccessoryInformation)
+                .setCharacteristic(Characteristic.Name, BypassSwitch.nameFor(sensorInfo.name));
+            this.switchService.setCharacteristic(Characteristic.Name, BypassSwitch.nameFor(sensorInfo.name));
+        }
+
+        this.sensorName = sensorInfo.name;
+        this.name = BypassSwitch.nameFor(this.sensorName);
+        this.zoneId = sensorInfo.id;
+        this.platformAccessory.context.sensorName = this.sensorName;
+        this.platformAccessory.context.zoneId = this.zoneId;
+
+        return true;
+    }
+
+    getBypassed(callback) {
+        callback(null, this.bypassed);
+    }
+
+    setBypassed(bypassed, callback) {
+        this.log('Received bypass request for %s:', this.sensorName, bypassed);
+
+        this.adt.setBypass(this.sensorName, bypassed)
+            .then(() => callback())
+            .catch((error) => {
+                this.log.error('Could not change bypass for', this.sensorName, error.message);
+                callback(error);
+            });
+    }
+
+    updateCharacteristics(newState) {
+        let contactSensor = newState.contactSensors.find(sensor => this.isZone(sensor));
+
+        if (!contactSensor) {
+            return;
+        }
+
+        this.log.debug('Updating %s bypass switch characteristics to', this.sensorName, contactSensor.bypassed);
+
+        this.bypassed = contactSensor.bypassed;
+
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .updateValue(this.bypassed);
+    }
+}
+
+module.exports = {
+    BypassSwitch
+};
@@ -23,7 +23,7 @@ class Camera {
 
     static async with(camera, adt, log, hap, platformAccessory) {
         log.debug("Building new camera with name=%s", camera.name);
-        let cameraAccessory = new Camera(camera, log, adt, hap, new platformAccessory(camera.name, hap.uuid.generate(camera.name), hap.Accessory.Categories.CAMERA));
+        let cameraAccessory = new Camera(camera, log, adt, hap, new platformAccessory(camera.name, hap.uuid.generate('camera:' + camera.id), hap.Accessory.Categories.CAMERA));
 
         await cameraAccessory.configureCameraSource();
 
@@ -52,6 +52,15 @@ class Camera {
         return this.platformAccessory;
     }
 
+    rename(name) {
+        this.log("Camera %s was renamed to %s in ADT", this.cameraName, name);
+        this.cameraName = name;
+
+        this.platformAccessory
+            .getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.cameraName);
+    }
+
     configureCameraSource() {
         this.platformAccessory.configureCameraSource(new FFMPEG(this.hap, this.cameraName, this.getStartFeedSupplier.bind(this),
             this.getStopFeedSupplier.bind(this), this.getImage.bind(this), this.getCachedImage.bind(this), this.log));
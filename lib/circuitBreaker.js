@@ -0,0 +1,73 @@
+const CLOSED = 'closed';
+const OPEN = 'open';
+
+const DEFAULTS = {
+    initialDelay: 3,
+    maxDelay: 600,
+    multiplier: 2,
+    jitter: 0.5,
+    failureThreshold: 3
+};
+
+/**
+ * Tracks consecutive failures talking to the ADT portal. Retry delays grow
+ * exponentially (with jitter) up to maxDelay, and the circuit opens once
+ * failureThreshold consecutive attempts failed. Delays are in seconds.
+ */
+class CircuitBreaker {
+    constructor(options, log) {
+        this.log = log;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.failures = 0;
+        this.state = CLOSED;
+    }
+
+    isOpen() {
+        return this.state === OPEN;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    recordFailure() {
+        this.failures++;
+
+        let opened = false;
+
+        if (this.state === CLOSED && this.failures >= this.options.failureThreshold) {
+            this.state = OPEN;
+            opened = true;
+            this.log.error('ADT portal unreachable after %s attempts. Circuit open', this.failures);
+        }
+
+        return {
+            opened: opened,
+            delay: this.nextDelay()
+        };
+    }
+
+    recordSuccess() {
+        let closed = this.state === OPEN;
+
+        if (closed) {
+            this.log('ADT portal reachable again after %s failed attempts. Circuit closed', this.failures);
+        }
+
+        this.failures = 0;
+        this.state = CLOSED;
+
+        return closed;
+    }
+
+    nextDelay() {
+        let delay = Math.min(this.options.initialDelay * Math.pow(this.options.multiplier, this.failures - 1), this.options.maxDelay);
+        let jitter = delay * this.options.jitter * Math.random();
+
+        return Math.round((delay - jitter) * 1000);
+    }
+}
+
+module.exports = {
+    CircuitBreaker
+};
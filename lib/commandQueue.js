@@ -0,0 +1,72 @@
+/**
+ * Runs portal commands one at a time, so actions never overlap or post a
+ * stale JSF ViewState. A pending command is dropped when a newer one with the
+ * same key is queued, and whoever waited on it gets the newer command's result.
+ */
+class CommandQueue {
+    constructor(log) {
+        this.log = log;
+        this.pending = [];
+        this.running = undefined;
+    }
+
+    push(key, description, run) {
+        return new Promise((resolve, reject) => {
+            let waiting = [{resolve: resolve, reject: reject}];
+            let superseded = this.pending.find(command => command.key === key);
+
+            if (superseded) {
+                this.pending.splice(this.pending.indexOf(superseded), 1);
+                waiting = superseded.waiting.concat(waiting);
+                this.log('Dropping %s, superseded by %s', superseded.description, description);
+            }
+
+            this.pending.push({key: key, description: description, run: run, waiting: waiting});
+            this.log.debug('Queued %s (%s)', description, this.describe());
+
+            this.next();
+        });
+    }
+
+    has(key) {
+        return (!!this.running && this.running.key === key) || this.pending.some(command => command.key === key);
+    }
+
+    describe() {
+        return (this.running ? 'running ' + this.running.description + ', ' : '') + this.pending.length + ' pending';
+    }
+
+    clear() {
+        let pending = this.pending;
+
+        this.pending = [];
+        pending.forEach(command => command.waiting.forEach(waiting => waiting.reject(new Error('Command queue closed'))));
+    }
+
+    async next() {
+        if (this.running || this.pending.length === 0) {
+            return;
+        }
+
+        let command = this.running = this.pending.shift();
+        let started = Date.now();
+
+        this.log('Running %s (%s pending)', command.description, this.pending.length);
+
+        try {
+            let result = await command.run();
+
+            command.waiting.forEach(waiting => waiting.resolve(result));
+        } catch (error) {
+            command.waiting.forEach(waiting => waiting.reject(error));
+        } finally {
+            this.log.debug('Finished %s in %sms', command.description, Date.now() - started);
+            this.running = undefined;
+            this.next();
+        }
+    }
+}
+
+module.exports = {
+    CommandQueue
+};
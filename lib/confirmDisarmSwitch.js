@@ -0,0 +1,102 @@
+let Characteristic, Service;
+
+const NAME = 'Confirm Disarm';
+
+/**
+ * Switch that allows disarming for the confirmation window of the disarm
+ * safeguards. It stays on while disarming is allowed and turns itself off
+ * once the window runs out or a disarm request used it.
+ */
+class ConfirmDisarmSwitch {
+    static from(cachedAccessory, adt, log, hap) {
+        log.debug("Building confirm disarm switch from cachedAccessory=%s", cachedAccessory.displayName);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        return new ConfirmDisarmSwitch(log, adt, cachedAccessory);
+    }
+
+    static with(adt, log, hap, platformAccessory) {
+        log.debug("Building new confirm disarm switch with name=%s", NAME);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        let accessory = new platformAccessory(NAME, hap.uuid.generate('confirmDisarm'), hap.Accessory.Categories.SWITCH);
+        accessory.context.confirmDisarm = true;
+
+        return new ConfirmDisarmSwitch(log, adt, accessory);
+    }
+
+    static nameFor() {
+        return NAME;
+    }
+
+    constructor(log, adt, platformAccessory) {
+        this.name = NAME;
+        this.log = log;
+        this.adt = adt;
+        this.platformAccessory = platformAccessory;
+        this.switchService = this.platformAccessory.getService(Service.Switch) || this.platformAccessory.addService(Service.Switch, this.name);
+
+        this.log.debug("Initializing characteristics for", this.name);
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Manufacturer, 'ADT')
+            .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
+
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .on('get', this.getOn.bind(this))
+            .on('set', this.setOn.bind(this));
+    }
+
+    getAccessory() {
+        return this.platformAccessory;
+    }
+
+    isConfirmed() {
+        return !!this.adt.disarmGuard && this.adt.disarmGuard.isConfirmed();
+    }
+
+    getOn(callback) {
+        callback(null, this.isConfirmed());
+    }
+
+    setOn(on, callback) {
+        clearTimeout(this.expiryTimer);
+
+        if (!this.adt.disarmGuard) {
+            // Cached switch of disarm safeguards no longer configured, removed once initialized
+            this.log.warn('Ignoring %s, disarm safeguards are not configured', this.name);
+            callback();
+            this.updateOn();
+            return;
+        }
+
+        if (on) {
+            this.adt.disarmGuard.confirm();
+            this.expiryTimer = setTimeout(() => this.updateOn(), this.adt.disarmGuard.getConfirmationWindow() * 1000 + 100);
+        } else {
+            this.adt.disarmGuard.revoke();
+        }
+
+        callback();
+    }
+
+    updateOn() {
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .updateValue(this.isConfirmed());
+    }
+
+    updateCharacteristics() {
+        this.updateOn();
+    }
+}
+
+module.exports = {
+    ConfirmDisarmSwitch
+};
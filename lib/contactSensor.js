@@ -1,73 +1,330 @@
 let Characteristic, Service;
 
+const SERVICES = {
+    contact: 'ContactSensor',
+    door: 'Door',
+    window: 'Window',
+    garageDoor: 'GarageDoorOpener'
+};
+
+const CATEGORIES = {
+    contact: 'SENSOR',
+    door: 'DOOR',
+    window: 'WINDOW',
+    garageDoor: 'GARAGE_DOOR_OPENER'
+};
+
 class ContactSensor {
-    static from(cachedAccessory, log, hap) {
-        log.debug("Building contact sensor from cachedAccessory=%s", cachedAccessory.displayName);
+    static from(cachedAccessory, zone, settings, log, hap) {
+        log.debug("Building contact sensor %s from cachedAccessory=%s", zone.name, cachedAccessory.displayName);
 
         Characteristic = hap.Characteristic;
         Service = hap.Service;
 
-        return new ContactSensor(cachedAccessory.displayName, undefined, log, cachedAccessory);
+        return new ContactSensor(zone, settings, undefined, log, cachedAccessory);
     }
 
-    static with(sensorInfo, log, hap, platformAccessory) {
+    static with(sensorInfo, settings, log, hap, platformAccessory, groupAccessory) {
         log.debug("Building new contact sensor with name=%s", sensorInfo.name);
 
         Characteristic = hap.Characteristic;
         Service = hap.Service;
 
-        return new ContactSensor(sensorInfo.name, sensorInfo.status, log, new platformAccessory(sensorInfo.name, hap.uuid.generate(sensorInfo.name), hap.Accessory.Categories.SENSOR));
+        let accessory = groupAccessory;
+        let zone = {name: sensorInfo.name, zoneId: sensorInfo.id, subtype: sensorInfo.id || sensorInfo.name};
+
+        if (!accessory && settings.group) {
+            accessory = new platformAccessory(settings.group, hap.uuid.generate('group:' + settings.group), hap.Accessory.Categories.SENSOR);
+            accessory.context.group = settings.group;
+            accessory.context.sensors = [];
+        } else if (!accessory) {
+            accessory = new platformAccessory(settings.name, hap.uuid.generate(sensorInfo.id ? 'zone:' + sensorInfo.id : sensorInfo.name), hap.Accessory.Categories[CATEGORIES[settings.type]]);
+            accessory.context.sensorName = sensorInfo.name;
+            accessory.context.zoneId = sensorInfo.id;
+        }
+
+        if (accessory.context.group) {
+            accessory.context.sensors.push(zone);
+        }
+
+        return new ContactSensor(zone, settings, sensorInfo.status, log, accessory);
+    }
+
+    /**
+     * Cached accessories tell which zones they hold: a group lists them in
+     * context.sensors, each with the subtype of its service, a single zone
+     * keeps its ADT name and id in context.sensorName and context.zoneId.
+     * Older caches only have the display name, or plain names for groups.
+     */
+    static zonesOf(cachedAccessory) {
+        if (cachedAccessory.context.group) {
+            cachedAccessory.context.sensors = (cachedAccessory.context.sensors || [])
+                .map(zone => typeof zone === 'string' ? {name: zone, subtype: zone} : zone);
+
+            return cachedAccessory.context.sensors;
+        }
+
+        return [{name: cachedAccessory.context.sensorName || cachedAccessory.displayName, zoneId: cachedAccessory.context.zoneId}];
+    }
+
+    static isZoneAccessory(cachedAccessory, hap) {
+        return Object.keys(CATEGORIES).some(type => cachedAccessory.category === hap.Accessory.Categories[CATEGORIES[type]]);
     }
 
-    constructor(name, status, log, platformAccessory) {
-        this.name = name;
+    constructor(zone, settings, status, log, platformAccessory) {
+        this.name = zone.name;
+        this.zoneId = zone.zoneId;
+        this.subtype = zone.subtype;
+        this.displayName = settings.name;
+        this.type = settings.type;
         this.log = log;
         this.platformAccessory = platformAccessory;
-        this.contactSensorService = this.platformAccessory.getService(Service.ContactSensor) || this.platformAccessory.addService(Service.ContactSensor, this.name);
+        this.group = platformAccessory.context.group;
+
+        let serviceType = Service[SERVICES[this.type]];
+
+        this.zoneServices()
+            .filter(service => service.UUID !== serviceType.UUID)
+            .forEach(service => {
+                this.log("Changing sensor %s to type %s", this.name, this.type);
+                this.platformAccessory.removeService(service);
+            });
+
+        this.contactSensorService = this.zoneServices()[0] || this.platformAccessory.addService(serviceType, this.displayName, this.group ? this.subtype : undefined);
 
         this.log.debug("Initializing characteristics for", this.name);
 
         this.platformAccessory.getService(Service.AccessoryInformation)
-            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Name, this.group || this.displayName)
             .setCharacteristic(Characteristic.Manufacturer, 'ADT')
             .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
 
+        this.contactSensorService.setCharacteristic(Characteristic.Name, this.displayName);
+
+        this.closed = status;
+        this.bindCharacteristics();
+    }
+
+    /**
+     * Services this zone owns on its accessory. Zones in a group are told
+     * apart by subtype, a single zone owns the one zone service it has.
+     */
+    zoneServices() {
+        let zoneTypes = Object.keys(SERVICES).map(type => Service[SERVICES[type]].UUID);
+
+        return this.platformAccessory.services
+            .filter(service => zoneTypes.indexOf(service.UUID) > -1)
+            .filter(service => this.group ? service.subtype === this.subtype : !service.subtype);
+    }
+
+    bindCharacteristics() {
+        if (this.type === 'door' || this.type === 'window') {
+            this.readOnly(Characteristic.CurrentPosition, Characteristic.TargetPosition);
+            this.contactSensorService
+                .setCharacteristic(Characteristic.PositionState, Characteristic.PositionState.STOPPED);
+        } else if (this.type === 'garageDoor') {
+            this.readOnly(Characteristic.CurrentDoorState, Characteristic.TargetDoorState);
+            this.contactSensorService
+                .setCharacteristic(Characteristic.ObstructionDetected, false);
+        } else {
+            this.readOnly(Characteristic.ContactSensorState);
+
+            [Characteristic.StatusActive, Characteristic.StatusFault, Characteristic.StatusTampered, Characteristic.StatusLowBattery]
+                .filter(characteristic => !this.contactSensorService.testCharacteristic(characteristic))
+                .forEach(characteristic => this.contactSensorService.addCharacteristic(characteristic));
+        }
+    }
+
+    /**
+     * Doors, windows and garage doors come with a target HomeKit lets users
+     * change. ADT only reports zones, so targets always mirror the current
+     * state and changing them is undone.
+     */
+    readOnly(current, target) {
         this.contactSensorService
-            .getCharacteristic(Characteristic.ContactSensorState)
+            .getCharacteristic(current)
             .on('get', this.getState.bind(this));
 
-        this.state = status;
+        if (!target) {
+            return;
+        }
+
+        this.contactSensorService
+            .getCharacteristic(target)
+            .on('get', this.getState.bind(this))
+            .on('set', (value, callback) => {
+                this.log.warn("%s is a sensor and cannot be operated from HomeKit", this.displayName);
+                callback();
+                setImmediate(() => this.contactSensorService.getCharacteristic(target).updateValue(this.valueFor(this.closed)));
+            });
+    }
+
+    valueFor(closed) {
+        if (closed === undefined) {
+            return undefined;
+        }
+
+        switch (this.type) {
+            case 'door':
+            case 'window':
+                return closed ? 0 : 100;
+            case 'garageDoor':
+                return closed ? Characteristic.CurrentDoorState.CLOSED : Characteristic.CurrentDoorState.OPEN;
+            default:
+                return closed ? Characteristic.ContactSensorState.CONTACT_DETECTED : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+        }
     }
 
     getAccessory() {
         return this.platformAccessory;
     }
 
+    /**
+     * Whether the cached accessory still matches the configured group. Zones
+     * moving in or out of a group need a new accessory.
+     */
+    isPlacedAs(settings) {
+        return this.group === settings.group;
+    }
+
+    /**
+     * Removes this zone from a group accessory shared with other zones.
+     */
+    detach() {
+        this.zoneServices().forEach(service => this.platformAccessory.removeService(service));
+        this.platformAccessory.context.sensors = this.platformAccessory.context.sensors.filter(zone => zone.subtype !== this.subtype);
+    }
+
+    isZone(sensorInfo) {
+        return this.zoneId ? this.zoneId === sensorInfo.id : this.name === sensorInfo.name;
+    }
+
+    /**
+     * Takes the zone id and name reported by ADT, renaming the zone in place
+     * when it was renamed in the ADT app. Returns whether anything changed.
+     */
+    identify(sensorInfo, settings) {
+        if (this.zoneId === sensorInfo.id && this.name === sensorInfo.name) {
+            return false;
+        }
+
+        if (!this.zoneId) {
+            this.log("Remembering zone id %s for contact sensor %s", sensorInfo.id, this.name);
+        }
+
+        if (sensorInfo.name !== this.name) {
+            this.log("Contact sensor %s was renamed to %s in ADT", this.name, sensorInfo.name);
+        }
+
+        this.name = sensorInfo.name;
+        this.zoneId = sensorInfo.id;
+
+        if (settings.name !== this.displayName) {
+            this.displayName = settings.name;
+
+            if (!this.group) {
+                this.platformAccessory.getService(Service.AccessoryInformation)
+                    .setCharacteristic(Characteristic.Name, this.displayName);
+            }
+
+            this.contactSensorService.setCharacteristic(Characteristic.Name, this.displayName);
+        }
+
+        if (this.group) {
+            Object.assign(this.platformAccessory.context.sensors.find(zone => zone.subtype === this.subtype), {name: this.name, zoneId: this.zoneId});
+        } else {
+            this.platformAccessory.context.sensorName = this.name;
+            this.platformAccessory.context.zoneId = this.zoneId;
+        }
+
+        return true;
+    }
+
     getState(callback) {
-        callback(null, this.state);
+        callback(null, this.valueFor(this.closed));
     }
 
     updateCharacteristics(newState) {
-        let contactSensorStatus = this.getStatusFromSystemState(newState);
+        let contactSensor = this.getStatusFromSystemState(newState);
+
+        this.log.debug('Updating %s contact sensor characteristics to', this.name, JSON.stringify(contactSensor));
+
+        if (!contactSensor) {
+            // Keep the last known contact state, a sensor missing from the dashboard is not an open door
+            if (this.active !== false) {
+                this.log.warn('Contact sensor %s is no longer reported by ADT', this.name);
+            }
 
-        this.log.debug('Updating %s contact sensor characteristics to', this.name, JSON.stringify(contactSensorStatus));
+            this.active = false;
+            this.updateStatus(false, true, false, false);
+            return;
+        }
+
+        if (contactSensor.offline && this.active !== false) {
+            this.log.warn('Contact sensor %s is offline', this.name);
+        }
+
+        if (contactSensor.tampered && !this.tampered) {
+            this.log.warn('Contact sensor %s reports tampering', this.name);
+        }
+
+        if (contactSensor.lowBattery && !this.lowBattery) {
+            this.log.warn('Contact sensor %s has a low battery', this.name);
+        }
+
+        this.active = !contactSensor.offline;
+        this.tampered = !!contactSensor.tampered;
+        this.lowBattery = !!contactSensor.lowBattery;
+        this.closed = !!contactSensor.status;
+
+        this.updateState(this.valueFor(this.closed));
+        this.updateStatus(this.active, !!contactSensor.offline, this.tampered, this.lowBattery);
+    }
 
-        this.state = contactSensorStatus ? Characteristic.ContactSensorState.CONTACT_DETECTED : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+    updateState(value) {
+        let characteristics = {
+            contact: [Characteristic.ContactSensorState],
+            door: [Characteristic.CurrentPosition, Characteristic.TargetPosition],
+            window: [Characteristic.CurrentPosition, Characteristic.TargetPosition],
+            garageDoor: [Characteristic.CurrentDoorState, Characteristic.TargetDoorState]
+        };
 
+        characteristics[this.type].forEach(characteristic => this.contactSensorService
+            .getCharacteristic(characteristic)
+            .updateValue(value));
+    }
+
+    updateStatus(active, fault, tampered, lowBattery) {
+        if (this.type === 'garageDoor') {
+            this.contactSensorService
+                .getCharacteristic(Characteristic.ObstructionDetected)
+                .updateValue(fault || tampered);
+        }
+
+        if (this.type !== 'contact') {
+            return;
+        }
+
+        this.contactSensorService
+            .getCharacteristic(Characteristic.StatusActive)
+            .updateValue(active);
+        this.contactSensorService
+            .getCharacteristic(Characteristic.StatusFault)
+            .updateValue(fault ? Characteristic.StatusFault.GENERAL_FAULT : Characteristic.StatusFault.NO_FAULT);
         this.contactSensorService
-            .getCharacteristic(Characteristic.ContactSensorState)
-            .updateValue(this.state);
+            .getCharacteristic(Characteristic.StatusTampered)
+            .updateValue(tampered ? Characteristic.StatusTampered.TAMPERED : Characteristic.StatusTampered.NOT_TAMPERED);
+        this.contactSensorService
+            .getCharacteristic(Characteristic.StatusLowBattery)
+            .updateValue(lowBattery ? Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW : Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
     }
 
     getStatusFromSystemState(systemState) {
-        let contactSensor;
-
-        if (systemState) {
-            contactSensor = systemState.contactSensors
-                .find(contactSensor => contactSensor.name === this.name);
+        if (!systemState) {
+            return null;
         }
 
-        return contactSensor ? contactSensor.status : null;
+        return systemState.contactSensors.find(contactSensor => this.isZone(contactSensor)) || null;
     }
 }
 
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ENCRYPTED_PREFIX = 'enc:';
+const CIPHER = 'aes-256-gcm';
+const SALT = 'homebridge-adt-smart-security';
+
+const DEFAULTS = {
+    usernameVariable: 'ADT_USERNAME',
+    passwordVariable: 'ADT_PASSWORD',
+    keyVariable: 'ADT_SECRET_KEY'
+};
+
+const keyFrom = passphrase => crypto.scryptSync(passphrase, SALT, 32);
+
+/**
+ * Encrypts a secret for config.json. The result looks like
+ * enc:<iv>:<auth tag>:<ciphertext>, all base64.
+ *
+ * @param {string} value
+ * @param {string} passphrase
+ * @returns {string}
+ */
+const encrypt = function (value, passphrase) {
+    let iv = crypto.randomBytes(12);
+    let cipher = crypto.createCipheriv(CIPHER, keyFrom(passphrase), iv);
+    let ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = function (value, passphrase) {
+    let parts = value.substring(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+
+    if (parts.length !== 3) {
+        throw new Error('Malformed encrypted value. Please check configuration.');
+    }
+
+    try {
+        let decipher = crypto.createDecipheriv(CIPHER, keyFrom(passphrase), parts[0]);
+        decipher.setAuthTag(parts[1]);
+
+        return Buffer.concat([decipher.update(parts[2]), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Could not decrypt credentials. Please check the secret key.');
+    }
+};
+
+const readSecretsFile = function (file) {
+    let stats;
+
+    try {
+        stats = fs.statSync(file);
+    } catch (error) {
+        throw new Error('Secrets file not found: ' + file);
+    }
+
+    if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+        throw new Error('Secrets file ' + file + ' is readable by other users. Run chmod 600 ' + file);
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error('Secrets file ' + file + ' is not valid JSON');
+    }
+};
+
+/**
+ * Resolves the ADT username and password. `credentials.source` picks where
+ * they come from:
+ *
+ *   config   username and password in config.json (default)
+ *   env      environment variables, ADT_USERNAME and ADT_PASSWORD by default
+ *   file     a JSON file with username and password, only readable by its owner
+ *
+ * Any value starting with "enc:" is decrypted with the passphrase found in
+ * the ADT_SECRET_KEY environment variable.
+ *
+ * @param {Object} config platform configuration
+ * @param {Object} [env]
+ * @returns {{username: string, password: string}}
+ */
+const resolve = function (config, env = process.env) {
+    let options = Object.assign({}, DEFAULTS, config.credentials);
+    let credentials;
+
+    switch (options.source || 'config') {
+        case 'config':
+            credentials = {username: config.username, password: config.password};
+            break;
+        case 'env':
+            credentials = {username: env[options.usernameVariable] || config.username, password: env[options.passwordVariable]};
+            break;
+        case 'file':
+            if (!options.file) {
+                throw new Error('Missing secrets file. Please check configuration.');
+            }
+
+            credentials = Object.assign({username: config.username}, readSecretsFile(options.file));
+            break;
+        default:
+            throw new Error('Unknown credentials source ' + options.source + '. Use config, env or file.');
+    }
+
+    ['username', 'password']
+        .filter(field => typeof credentials[field] === 'string' && credentials[field].startsWith(ENCRYPTED_PREFIX))
+        .forEach(field => {
+            if (!env[options.keyVariable]) {
+                throw new Error('Missing ' + options.keyVariable + ' environment variable to decrypt the ' + field + '.');
+            }
+
+            credentials[field] = decrypt(credentials[field], env[options.keyVariable]);
+        });
+
+    return {
+        username: credentials.username,
+        password: credentials.password
+    };
+};
+
+module.exports = {
+    resolve,
+    encrypt
+};
@@ -0,0 +1,326 @@
+const cheerio = require('cheerio');
+
+/**
+ * @typedef {Object} Dashboard
+ * @property {boolean} loginPage            true when the portal answered with the login form
+ * @property {Object} alarm
+ * @property {number} [alarm.armingState]   HomeKit state of the panel: 0 home, 1 away, 2 night (extra button), 3 disarmed
+ * @property {boolean} alarm.notReady       disarmed with open zones
+ * @property {boolean} alarm.triggered      the alarm is sounding
+ * @property {string[]} alarm.triggeredZones
+ * @property {number} [alarm.batteryLevel]
+ * @property {number} [alarm.lowBatteryStatus]
+ * @property {{id: string, name: string, status: boolean, bypassed: boolean, lowBattery: boolean, tampered: boolean, offline: boolean}[]} contactSensors
+ * @property {{id: string, name: string, motionDetected: boolean}[]} motionSensors
+ * @property {{id: string, name: string, armingState: number, notReady: boolean, triggered: boolean, actions: Object}[]} partitions
+ *                                          every partition when the installation has more than one, the first is also alarm and actions
+ * @property {{id: string, name: string}[]} cameras
+ * @property {Object} actions               JSF component ids used to post actions back to the portal,
+ *                                          panic, medical and fire only when the emergency buttons are shown
+ * @property {{name: string, action: string, bypassed: boolean}[]} bypasses
+ * @property {Object.<string, string>} layouts  portal layout each field was parsed with
+ * @property {string[]} unparsed            fields that could not be found on the page
+ */
+
+// Selector strategies per portal layout, tried in order. v1 holds the selectors
+// the plugin has always used against the live portal. v2 is speculative: no such
+// dashboard has been seen, it guesses at namespaced JSF ids after a redeploy and
+// is only tested against a hand-written fixture. When ADT does change the portal,
+// add the layout here (with a captured dashboard in test/fixtures) instead of
+// changing the old one.
+
+// Installations with several partitions are assumed to show one set of activation
+// buttons per partition. This is a guess, no such dashboard has been captured.
+const PARTITIONS = [
+    {layout: 'v1', find: $ => $('.partition').filter((index, partition) => $(partition).find('[id$="activationButtons"], .activationButtons').length > 0)}
+];
+
+const ACTIVATION_BUTTONS = [
+    {layout: 'v1', find: $ => $('#activationButtons')},
+    {layout: 'v2', find: $ => $('[id$=":activationButtons"], .activationButtons').first()}
+];
+
+// Emergency buttons, only shown on installations with monitored panic, medical or fire service.
+// The list id and class names are a guess, no dashboard with emergency buttons has
+// been captured yet.
+const EMERGENCY_BUTTONS = [
+    {layout: 'v1', find: $ => $('#emergencyButtons')},
+    {layout: 'v2', find: $ => $('[id$=":emergencyButtons"], .emergencyButtons').first()}
+];
+
+const EMERGENCIES = ['panic', 'medical', 'fire'];
+
+const BATTERY_LEVEL = [
+    {layout: 'v1', find: $ => $('#j_idt135\\:batteryLevelPanel')},
+    {layout: 'v2', find: $ => $('[id$=":batteryLevelPanel"]').first()}
+];
+
+const BYPASS_DEVICES = [
+    {
+        layout: 'v1',
+        find: $ => $('.protección span .dashboardDevice .turning'),
+        bypassLink: ($, device) => $(device).children('[style*="display: flex"]').children('.deviceActivationButtons1').children('.bypass-link')
+    },
+    {
+        layout: 'v2',
+        find: $ => $('.dashboardDevice .turning'),
+        bypassLink: ($, device) => $(device).find('.bypass-link').first()
+    }
+];
+
+// Zone status icons, looked up on the zone's sensor icon and on its device card.
+// These class names are a guess, no dashboard with a zone in trouble has been
+// captured yet.
+const ZONE_INDICATORS = {
+    lowBattery: '.lowBattery, .batteryLow',
+    tampered: '.tamper, .tampered',
+    offline: '.offline, .supervisionLost, .noSignal'
+};
+
+// Zone ids are assumed to come like camera ids, as <prefix>_<id> on the zone's
+// sensor icon or on its device card. This is a guess, no captured dashboard has
+// shown them; without one, zones are identified by name.
+const ZONE_ID = /_(\d+)$/;
+
+const BATTERY_LEVELS = {
+    lev1: 10,
+    lev2: 50,
+    lev3: 100
+};
+
+const zoneIndicators = function ($, sensorElement, device) {
+    let scope = $(sensorElement).parent().add(device);
+    let indicators = {};
+
+    Object.keys(ZONE_INDICATORS).forEach(indicator => {
+        let selector = ZONE_INDICATORS[indicator];
+
+        indicators[indicator] = scope.is(selector) || scope.find(selector).length > 0;
+    });
+
+    return indicators;
+};
+
+const zoneId = function ($, sensorElement, device) {
+    let match = [$(sensorElement).parent().attr('id'), device.closest('.dashboardDevice').attr('id')]
+        .map(id => ZONE_ID.exec(id || ''))
+        .find(result => result);
+
+    return match ? match[1] : undefined;
+};
+
+/**
+ * Reads the arming state and the actions of one set of activation buttons.
+ */
+const activationState = function ($, buttons, nightButtonTitle) {
+    let activeButton = buttons.find('.active');
+    let nightButton = nightButtonTitle ? buttons.find('a').filter((index, button) => button.attribs.title === nightButtonTitle) : $();
+    // No triggered dashboard has been captured yet, so ALARM is a guess: the
+    // active button is assumed to get it like OFF_NOT_READY, and the zone icon
+    // an alarm class.
+    let state = {
+        notReady: false,
+        triggered: buttons.find('.ALARM').length > 0
+    };
+
+    if (nightButton.length && nightButton.parent().hasClass('active')) {
+        state.armingState = 2; // NIGHT
+    } else if (activeButton.hasClass('left')) {
+        state.armingState = 3; // DISARMED
+    } else if (activeButton.hasClass('center')) {
+        state.armingState = 0; // HOME
+    } else if (activeButton.hasClass('right')) {
+        state.armingState = 1; // AWAY
+    } else if (buttons.find('.OFF_NOT_READY').hasClass('left')) {
+        state.armingState = 3; // DISARMED
+        state.notReady = true;
+    }
+
+    state.actions = {
+        home: buttons.find('li.center a[title]').attr('id'),
+        away: buttons.find('li.right a[title]').attr('id'),
+        disarm: buttons.find('li.left a[title]').attr('id'),
+        night: nightButton.attr('id')
+    };
+
+    return state;
+};
+
+const firstMatch = function ($, strategies) {
+    for (let strategy of strategies) {
+        let element = strategy.find($);
+
+        if (element.length > 0) {
+            return {element: element, strategy: strategy};
+        }
+    }
+
+    return {element: $(), strategy: undefined};
+};
+
+/**
+ * Parses the selfcare dashboard.
+ *
+ * @param {string} html
+ * @param {{nightButton: string}} [options] title of an extra activation button used for night mode
+ * @returns {Dashboard}
+ */
+const parse = function (html, options = {}) {
+    let $ = cheerio.load(html);
+    let dashboard = {
+        loginPage: $('input[name=j_username]').length > 0,
+        alarm: {
+            notReady: false,
+            triggered: false,
+            triggeredZones: []
+        },
+        contactSensors: [],
+        motionSensors: [],
+        partitions: [],
+        cameras: [],
+        actions: {},
+        bypasses: [],
+        layouts: {},
+        unparsed: []
+    };
+
+    if (dashboard.loginPage) {
+        return dashboard;
+    }
+
+    // Alarm
+
+    let partitions = firstMatch($, PARTITIONS);
+
+    if (partitions.element.length > 1) {
+        dashboard.layouts.partitions = partitions.strategy.layout;
+        dashboard.partitions = partitions.element.toArray().map((partition, index) => {
+            let id = ZONE_ID.exec(partition.attribs.id || '');
+
+            return Object.assign({
+                id: id ? id[1] : String(index + 1),
+                name: partition.attribs.title || $(partition).find('.partitionName').text().trim()
+            }, activationState($, $(partition).find('[id$="activationButtons"], .activationButtons').first(), options.nightButton));
+        });
+    }
+
+    let buttons = partitions.element.length > 1 ? {element: partitions.element.first()} : firstMatch($, ACTIVATION_BUTTONS);
+    let main = activationState($, buttons.element, options.nightButton);
+
+    dashboard.layouts.activationButtons = partitions.element.length > 1 ? 'partitions' : buttons.strategy && buttons.strategy.layout;
+
+    if (main.armingState !== undefined) {
+        dashboard.alarm.armingState = main.armingState;
+        dashboard.alarm.notReady = main.notReady;
+    } else {
+        dashboard.unparsed.push('armingState');
+    }
+
+    dashboard.alarm.triggered = main.triggered;
+    dashboard.alarm.triggeredZones = $('.openDoorDash.alarm, .motionDash.alarm')
+        .map((index, element) => element.parent.attribs.title)
+        .toArray();
+
+    let battery = firstMatch($, BATTERY_LEVEL);
+    let batteryClass = Object.keys(BATTERY_LEVELS).find(level => battery.element.hasClass(level));
+
+    if (batteryClass) {
+        dashboard.alarm.batteryLevel = BATTERY_LEVELS[batteryClass];
+        dashboard.alarm.lowBatteryStatus = batteryClass === 'lev1' ? 1 : 0;
+        dashboard.layouts.batteryLevel = battery.strategy.layout;
+    } else {
+        dashboard.unparsed.push('batteryLevel');
+    }
+
+    // Sensors
+
+    let bypassDevices = firstMatch($, BYPASS_DEVICES);
+
+    dashboard.bypasses = bypassDevices.element.toArray()
+        .map(device => {
+            let bypassLink = bypassDevices.strategy.bypassLink($, device);
+
+            return {
+                name: $(device).children('[title]').attr('title'),
+                action: bypassLink.attr('id'),
+                bypassed: bypassLink.hasClass('bypassed')
+            };
+        })
+        .filter(bypass => bypass.name && bypass.action);
+
+    dashboard.layouts.bypasses = bypassDevices.strategy && bypassDevices.strategy.layout;
+
+    $('.openDoorDash').each((index, element) => {
+        let name = element.parent.attribs.title;
+        let bypass = dashboard.bypasses.find(sensorBypass => sensorBypass.name === name);
+        let device = bypassDevices.element.filter((position, candidate) => $(candidate).children('[title]').attr('title') === name);
+
+        dashboard.contactSensors.push(Object.assign({
+            id: zoneId($, element, device),
+            name: name,
+            status: element.attribs.class.split(/\s+/).indexOf('off') > -1,
+            bypassed: !!bypass && bypass.bypassed
+        }, zoneIndicators($, element, device)));
+    });
+
+    $('.motionDash').each((index, element) => {
+        dashboard.motionSensors.push({
+            id: zoneId($, element, $()),
+            name: element.parent.attribs.title,
+            motionDetected: !element.attribs.class.endsWith('off')
+        });
+    });
+
+    // Actions
+
+    dashboard.actions = Object.assign({
+        viewState: $('input[type=hidden][name=javax\\.faces\\.ViewState]').val()
+    }, main.actions);
+
+    let emergencyButtons = firstMatch($, EMERGENCY_BUTTONS);
+
+    if (emergencyButtons.strategy) {
+        dashboard.layouts.emergencyButtons = emergencyButtons.strategy.layout;
+    }
+
+    EMERGENCIES.forEach(emergency => dashboard.actions[emergency] = emergencyButtons.element.find('li.' + emergency + ' a[id]').attr('id'));
+
+    ['viewState', 'home', 'away', 'disarm']
+        .filter(action => !dashboard.actions[action])
+        .forEach(action => dashboard.unparsed.push(action === 'viewState' ? action : action + 'Action'));
+
+    // Cameras
+
+    $('.cameraViewer.cameraThumbnail').each((index, element) => {
+        let name = $(element).children('.name').attr('title');
+
+        if (!element.attribs.id || !name) {
+            dashboard.unparsed.push('camera');
+            return;
+        }
+
+        dashboard.cameras.push({
+            id: element.attribs.id.split('_')[1],
+            name: name
+        });
+    });
+
+    return dashboard;
+};
+
+/**
+ * Returns the ViewState a JSF partial response hands back after an action.
+ *
+ * @param {string} partialResponse
+ * @returns {string|undefined}
+ */
+const parseViewState = function (partialResponse) {
+    let $ = cheerio.load(partialResponse || '', {xmlMode: true});
+
+    return $('update[id*="javax.faces.ViewState"]').text() || undefined;
+};
+
+module.exports = {
+    parse,
+    parseViewState
+};
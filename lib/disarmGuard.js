@@ -0,0 +1,112 @@
+const DEFAULTS = {
+    blockedHours: [],
+    confirmationSwitch: false,
+    confirmationWindow: 30
+};
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Raised when a disarm request is refused by the safeguards.
+ */
+class DisarmRefusedError extends Error {
+}
+
+/**
+ * Safeguards for remote disarming. Disarming can be blocked during configured
+ * hours, given as local "HH:MM" ranges that may wrap past midnight, and can
+ * require the Confirm Disarm switch to be turned on shortly before. Every
+ * request is logged with where it came from.
+ */
+class DisarmGuard {
+    constructor(options, log, now = () => new Date()) {
+        this.log = log;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.now = now;
+        this.confirmedUntil = undefined;
+
+        this.blockedHours = this.options.blockedHours.filter(range => {
+            let valid = range && TIME.test(range.from) && TIME.test(range.to);
+
+            if (!valid) {
+                this.log.warn('Ignoring invalid blocked hours %s. Use {"from": "HH:MM", "to": "HH:MM"}', JSON.stringify(range));
+            }
+
+            return valid;
+        });
+    }
+
+    requiresConfirmation() {
+        return !!this.options.confirmationSwitch;
+    }
+
+    getConfirmationWindow() {
+        return this.options.confirmationWindow;
+    }
+
+    /**
+     * Allows the next disarm request for the confirmation window.
+     */
+    confirm() {
+        this.confirmedUntil = this.now().getTime() + this.options.confirmationWindow * 1000;
+        this.log('Disarm confirmed. Disarming is allowed for %s seconds', this.options.confirmationWindow);
+    }
+
+    revoke() {
+        this.confirmedUntil = undefined;
+    }
+
+    isConfirmed() {
+        return this.confirmedUntil !== undefined && this.now().getTime() <= this.confirmedUntil;
+    }
+
+    /**
+     * Returns the blocked hours range the given time falls in, if any.
+     */
+    blockedRange(date) {
+        let minutes = date.getHours() * 60 + date.getMinutes();
+        let toMinutes = time => {
+            let match = TIME.exec(time);
+
+            return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+        };
+
+        return this.blockedHours.find(range => {
+            let from = toMinutes(range.from);
+            let to = toMinutes(range.to);
+
+            return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+        });
+    }
+
+    /**
+     * Checks a disarm request. Returns a DisarmRefusedError when it is refused,
+     * null when it may go ahead. A confirmation is used up by the request it
+     * allows.
+     */
+    check(origin) {
+        let range = this.blockedRange(this.now());
+
+        if (range) {
+            this.log.warn('Refused disarm request from %s. Disarming is blocked between %s and %s', origin, range.from, range.to);
+
+            return new DisarmRefusedError('Disarming is blocked between ' + range.from + ' and ' + range.to);
+        }
+
+        if (this.requiresConfirmation() && !this.isConfirmed()) {
+            this.log.warn('Refused disarm request from %s. Turn on Confirm Disarm within %s seconds before disarming', origin, this.options.confirmationWindow);
+
+            return new DisarmRefusedError('Disarming needs to be confirmed first');
+        }
+
+        this.confirmedUntil = undefined;
+        this.log('Allowed disarm request from %s', origin);
+
+        return null;
+    }
+}
+
+module.exports = {
+    DisarmGuard,
+    DisarmRefusedError
+};
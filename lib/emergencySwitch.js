@@ -0,0 +1,117 @@
+let Characteristic, Service;
+
+const NAMES = {
+    panic: 'Panic',
+    medical: 'Medical',
+    fire: 'Fire'
+};
+
+/**
+ * Presses an ADT emergency button. Turning the switch on only arms it: the
+ * emergency is sent when it is turned on again within the confirmation
+ * window, so a single stray request never dispatches the monitoring center.
+ */
+class EmergencySwitch {
+    static from(cachedAccessory, confirmationWindow, adt, log, hap) {
+        log.debug("Building emergency switch from cachedAccessory=%s", cachedAccessory.displayName);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        return new EmergencySwitch(cachedAccessory.context.emergency, confirmationWindow, log, adt, cachedAccessory);
+    }
+
+    static with(emergency, confirmationWindow, adt, log, hap, platformAccessory) {
+        let name = EmergencySwitch.nameFor(emergency);
+
+        log.debug("Building new emergency switch with name=%s", name);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        let accessory = new platformAccessory(name, hap.uuid.generate('emergency:' + emergency), hap.Accessory.Categories.SWITCH);
+        accessory.context.emergency = emergency;
+
+        return new EmergencySwitch(emergency, confirmationWindow, log, adt, accessory);
+    }
+
+    static nameFor(emergency) {
+        return NAMES[emergency];
+    }
+
+    static isEmergency(emergency) {
+        return NAMES.hasOwnProperty(emergency);
+    }
+
+    constructor(emergency, confirmationWindow, log, adt, platformAccessory) {
+        this.emergency = emergency;
+        this.name = EmergencySwitch.nameFor(emergency);
+        this.confirmationWindow = confirmationWindow;
+        this.log = log;
+        this.adt = adt;
+        this.platformAccessory = platformAccessory;
+        this.switchService = this.platformAccessory.getService(Service.Switch) || this.platformAccessory.addService(Service.Switch, this.name);
+
+        this.log.debug("Initializing characteristics for", this.name);
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Manufacturer, 'ADT')
+            .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
+
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .on('get', this.getOn.bind(this))
+            .on('set', this.setOn.bind(this));
+
+        this.sending = false;
+    }
+
+    getAccessory() {
+        return this.platformAccessory;
+    }
+
+    getOn(callback) {
+        callback(null, this.sending);
+    }
+
+    setOn(on, callback) {
+        callback();
+
+        if (!on || this.sending) {
+            return;
+        }
+
+        if (!this.confirmUntil || Date.now() > this.confirmUntil) {
+            this.confirmUntil = Date.now() + this.confirmationWindow * 1000;
+            this.log.warn("%s switch turned on. Turn it on again within %s seconds to call ADT", this.name, this.confirmationWindow);
+            setImmediate(() => this.updateOn());
+            return;
+        }
+
+        this.confirmUntil = undefined;
+        this.sending = true;
+
+        this.adt.sendEmergency(this.emergency)
+            .then(() => this.log.warn("%s emergency sent to ADT", this.name))
+            .catch(error => this.log.error("Could not send %s emergency", this.name, error.message))
+            .then(() => {
+                this.sending = false;
+                this.updateOn();
+            });
+    }
+
+    updateOn() {
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .updateValue(this.sending);
+    }
+
+    updateCharacteristics() {
+        // Emergency buttons have no state on the dashboard
+    }
+}
+
+module.exports = {
+    EmergencySwitch
+};
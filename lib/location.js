@@ -0,0 +1,415 @@
+const Adt = require('./adt').Adt;
+const ContactSensor = require('./contactSensor').ContactSensor;
+const MotionSensor = require('./motionSensor').MotionSensor;
+const BypassSwitch = require('./bypassSwitch').BypassSwitch;
+const EmergencySwitch = require('./emergencySwitch').EmergencySwitch;
+const ConfirmDisarmSwitch = require('./confirmDisarmSwitch').ConfirmDisarmSwitch;
+const SchedulePauseSwitch = require('./schedulePauseSwitch').SchedulePauseSwitch;
+const Scheduler = require('./scheduler').Scheduler;
+const SecuritySystem = require('./securitySystem').SecuritySystem;
+const Camera = require('./camera').Camera;
+const RestApi = require('./restApi').RestApi;
+const MqttBridge = require('./mqttBridge').MqttBridge;
+const Notifier = require('./notifier').Notifier;
+const ZoneSettings = require('./zoneSettings').ZoneSettings;
+
+const PLUGIN_NAME = 'homebridge-adt-smart-security';
+const PLATFORM_NAME = 'ADT';
+const EMERGENCIES = ['panic', 'medical', 'fire'];
+const DEFAULT_CONFIRMATION_WINDOW = 5;
+
+const unique = (item, index, items) => items.indexOf(item) === index;
+
+/**
+ * One ADT account: its own session, polling, recovery, security system,
+ * sensors and cameras. Accessories remember the account they belong to in
+ * context.location.
+ */
+class Location {
+    /**
+     * @param {Object} config           platform configuration merged with the location entry
+     * @param {Object} log
+     * @param {Object} api              homebridge API
+     * @param {Object} hap
+     * @param {Function} Accessory      homebridge platform accessory
+     * @param {boolean} [scoped]        prefix accessory UUIDs with the account, zone ids are only unique within one
+     */
+    constructor(config, log, api, hap, Accessory, scoped) {
+        this.log = log;
+        this.name = config.name;
+        this.bypassSwitches = config.bypassSwitches || false;
+        this.emergencySwitches = config.emergencySwitches ? (config.emergencySwitches.types || EMERGENCIES).filter(emergency => {
+            if (!EmergencySwitch.isEmergency(emergency)) {
+                this.log.warn("Ignoring unknown emergency switch %s. Use one of %s", emergency, EMERGENCIES.join(', '));
+            }
+
+            return EmergencySwitch.isEmergency(emergency);
+        }) : [];
+        this.confirmationWindow = config.emergencySwitches && config.emergencySwitches.confirmationWindow || DEFAULT_CONFIRMATION_WINDOW;
+        this.rediscoveryInterval = config.rediscoveryInterval;
+        this.zoneSettings = new ZoneSettings(config.sensors, this.log);
+        this.platformAccessories = [];
+        this.cachedAccessories = [];
+        this.cachedCameraAccessories = [];
+        this.cameraAccesories = [];
+        this.publishedCameras = [];
+        this.api = api;
+        this.Accessory = Accessory;
+
+        this.adt = new Adt(config, this.log, api.user.storagePath())
+            .on('init', this.initialize.bind(this))
+            .on('circuit', this.updateCircuitState.bind(this));
+
+        this.id = this.adt.getAccountId();
+        this.scheduler = config.schedule ? new Scheduler(this.adt, config.schedule, this.log) : undefined;
+        this.schedulePauseSwitch = !!(config.schedule && config.schedule.pauseSwitch);
+        this.hap = scoped ? Object.assign({}, hap, {uuid: Object.assign({}, hap.uuid, {generate: id => hap.uuid.generate(this.id + ':' + id)})}) : hap;
+
+        this.log.addSecret(config.api && config.api.token);
+        this.log.addSecret(config.mqtt && config.mqtt.password);
+        ((config.notifications && config.notifications.transports) || []).forEach(transport => {
+            this.log.addSecret(transport.token);
+            this.log.addSecret(transport.password);
+        });
+
+        if (config.api) {
+            this.restApi = new RestApi(this.adt, config.api, this.log);
+            this.restApi.start()
+                .catch(error => this.log.error('Could not start REST API', error.message));
+        }
+
+        if (config.mqtt) {
+            this.mqttBridge = new MqttBridge(this.adt, config.mqtt, this.log).start();
+        }
+
+        if (config.notifications) {
+            this.notifier = new Notifier(this.adt, Object.assign({name: this.name}, config.notifications), this.log).start();
+        }
+    }
+
+    configureAccessory(accessory) {
+        let hap = this.hap;
+        let platformAccessory;
+
+        if (accessory.category === hap.Accessory.Categories.SECURITY_SYSTEM) {
+            platformAccessory = SecuritySystem.from(accessory, this.adt, this.log, hap);
+        } else if (accessory.category === hap.Accessory.Categories.SENSOR && accessory.getService(hap.Service.MotionSensor)) {
+            platformAccessory = MotionSensor.from(accessory, this.log, hap);
+        } else if (ContactSensor.isZoneAccessory(accessory, hap)) {
+            ContactSensor.zonesOf(accessory)
+                .forEach(zone => this.cachedAccessories.push(ContactSensor.from(accessory, zone, this.zoneSettings.for(zone.name, zone.zoneId), this.log, hap)));
+            return;
+        } else if (accessory.category === hap.Accessory.Categories.SWITCH && accessory.context.schedulePause) {
+            platformAccessory = SchedulePauseSwitch.from(accessory, this.scheduler, this.log, hap);
+        } else if (accessory.category === hap.Accessory.Categories.SWITCH && accessory.context.confirmDisarm) {
+            platformAccessory = ConfirmDisarmSwitch.from(accessory, this.adt, this.log, hap);
+        } else if (accessory.category === hap.Accessory.Categories.SWITCH && accessory.context.emergency) {
+            platformAccessory = EmergencySwitch.from(accessory, this.confirmationWindow, this.adt, this.log, hap);
+        } else if (accessory.category === hap.Accessory.Categories.SWITCH) {
+            platformAccessory = BypassSwitch.from(accessory, this.adt, this.log, hap);
+        } else if (accessory.category === hap.Accessory.Categories.CAMERA) {
+            this.cachedCameraAccessories.push(Camera.from(accessory, this.adt, this.log, hap));
+            return;
+        } else {
+            throw new Error("Cannot refresh cached accessory with category " + accessory.category);
+        }
+
+        this.cachedAccessories.push(platformAccessory);
+    }
+
+    initialize(state) {
+        this.platformAccessories = this.cachedAccessories;
+
+        this.reconcileAccessories(state);
+        this.setupCameras(state.cameras);
+
+        this.log("Initialized %s with %s accessories", this.name, this.platformAccessories.length);
+
+        this.adt.on('state', this.updateState.bind(this));
+
+        if (this.scheduler) {
+            this.scheduler.start();
+        }
+
+        if (this.rediscoveryInterval) {
+            this.log.debug("Enabling rediscovery every %s seconds", this.rediscoveryInterval);
+            this.rediscoveryTimer = setInterval(this.rediscover.bind(this), this.rediscoveryInterval * 1000);
+        }
+    }
+
+    /**
+     * Stops polling, rediscovery and the servers of the location.
+     */
+    async close() {
+        clearInterval(this.rediscoveryTimer);
+
+        if (this.scheduler) {
+            this.scheduler.stop();
+        }
+
+        if (this.notifier) {
+            this.notifier.stop();
+        }
+
+        this.adt.close();
+
+        await Promise.all([
+            this.restApi && this.restApi.stop(),
+            this.mqttBridge && this.mqttBridge.stop()
+        ]);
+    }
+
+    rediscover() {
+        let state = this.adt.getState();
+
+        if (!state || !state.alarm) {
+            this.log.debug("Skipping rediscovery, no status available");
+            return;
+        }
+
+        this.reconcileAccessories(state);
+        this.setupCameras(state.cameras);
+    }
+
+    /**
+     * Matches accessories to the zones reported by ADT through their zone id, so a
+     * zone renamed in the ADT app keeps its accessory and HomeKit assignments.
+     * Accessories cached before zone ids were known are matched by name once and
+     * remember the id from then on, keeping their UUID. Security systems of
+     * partitions follow the partition name. Returns the accessories that changed.
+     */
+    identifyAccessories(state) {
+        let changed = [];
+        let partitionNames = {};
+        this.partitionsOf(state).forEach(partition => partitionNames[partition.id] = partition.name);
+
+        this.platformAccessories
+            .filter(accessory => accessory instanceof SecuritySystem)
+            .forEach(system => {
+                let name = system.partition ? partitionNames[system.partition] : this.name;
+
+                if (name && system.name !== name) {
+                    system.rename(name);
+                    changed.push(system);
+                }
+            });
+
+        const identify = (sensors, types) => sensors
+            .filter(sensor => sensor.id)
+            .forEach(sensor => this.platformAccessories
+                .filter(accessory => types.some(type => accessory instanceof type) && accessory.isZone(sensor))
+                .forEach(accessory => {
+                    if (accessory.identify(sensor, this.zoneSettings.for(sensor.name, sensor.id))) {
+                        changed.push(accessory);
+                    }
+                }));
+
+        identify(state.contactSensors, [ContactSensor, BypassSwitch]);
+        identify(state.motionSensors, [MotionSensor]);
+
+        return changed;
+    }
+
+    reconcileAccessories(state) {
+        let hap = this.hap;
+        let newAccessories = [];
+        let updatedAccessories = this.identifyAccessories(state);
+        let contactSensors = state.contactSensors.filter(sensor => !this.zoneSettings.isExcluded(sensor.name, sensor.id));
+        let motionSensors = state.motionSensors.filter(sensor => !this.zoneSettings.isExcluded(sensor.name, sensor.id));
+        let partitions = this.partitionsOf(state);
+        let existingNames = [this.name]
+            .concat(partitions.map(partition => partition.name))
+            .concat(contactSensors.map(sensor => sensor.name))
+            .concat(motionSensors.map(sensor => sensor.name))
+            .concat(contactSensors.filter(sensor => this.hasBypassSwitch(sensor.name)).map(sensor => BypassSwitch.nameFor(sensor.name)))
+            .concat(this.emergencySwitches.map(EmergencySwitch.nameFor))
+            .concat(this.hasConfirmDisarmSwitch() ? [ConfirmDisarmSwitch.nameFor()] : [])
+            .concat(this.schedulePauseSwitch ? [SchedulePauseSwitch.nameFor()] : []);
+
+        let staleAccessories = this.platformAccessories.filter(accessory => existingNames.indexOf(accessory.name) === -1
+            || (accessory.isPlacedAs && !accessory.isPlacedAs(this.zoneSettings.for(accessory.name, accessory.zoneId)))
+            || (accessory.partition && !partitions.some(partition => partition.id === accessory.partition)));
+
+        if (staleAccessories.length > 0) {
+            this.log("Removing %s stale accessories:", staleAccessories.length, staleAccessories.map(accessory => accessory.name).join(', '));
+
+            this.platformAccessories = this.platformAccessories.filter(accessory => staleAccessories.indexOf(accessory) === -1);
+
+            // Zones leaving a group only take their service with them while other zones remain
+            let sharedAccessories = staleAccessories.filter(accessory => this.platformAccessories.some(other => other.getAccessory() === accessory.getAccessory()));
+            sharedAccessories.forEach(accessory => accessory.detach());
+            updatedAccessories = updatedAccessories.concat(sharedAccessories);
+
+            let removedAccessories = staleAccessories
+                .filter(accessory => sharedAccessories.indexOf(accessory) === -1)
+                .map(accessory => accessory.getAccessory())
+                .filter(unique);
+
+            if (removedAccessories.length > 0) {
+                this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, removedAccessories);
+            }
+        }
+
+        if (!this.platformAccessories.some(cached => cached.name === this.name && !cached.partition)) {
+            let newSecuritySystem = SecuritySystem.with(this.name, this.adt, this.log, hap, this.Accessory);
+            this.platformAccessories.push(newSecuritySystem);
+            newAccessories.push(newSecuritySystem);
+        }
+
+        partitions
+            .filter(partition => !this.platformAccessories.some(cached => cached instanceof SecuritySystem && cached.partition === partition.id))
+            .forEach(partition => {
+                let newSecuritySystem = SecuritySystem.with(partition.name, this.adt, this.log, hap, this.Accessory, partition.id);
+                this.platformAccessories.push(newSecuritySystem);
+                newAccessories.push(newSecuritySystem);
+            });
+
+        contactSensors
+            .filter(sensor => !this.platformAccessories.some(cached => cached.name === sensor.name))
+            .forEach(sensor => {
+                let settings = this.zoneSettings.for(sensor.name, sensor.id);
+                let group = settings.group && this.platformAccessories.find(cached => cached.group === settings.group);
+                let newContactSensor = ContactSensor.with(sensor, settings, this.log, hap, this.Accessory, group && group.getAccessory());
+
+                this.platformAccessories.push(newContactSensor);
+
+                if (group && newAccessories.indexOf(group) === -1) {
+                    updatedAccessories.push(newContactSensor);
+                } else {
+                    newAccessories.push(newContactSensor);
+                }
+            });
+
+        motionSensors
+            .filter(sensor => !this.platformAccessories.some(cached => cached.name === sensor.name))
+            .forEach(sensor => {
+                let newMotionSensor = MotionSensor.with(sensor, this.log, hap, this.Accessory);
+
+                this.platformAccessories.push(newMotionSensor);
+                newAccessories.push(newMotionSensor);
+            });
+
+        contactSensors
+            .filter(sensor => this.hasBypassSwitch(sensor.name))
+            .filter(sensor => !this.platformAccessories.some(cached => cached.name === BypassSwitch.nameFor(sensor.name)))
+            .forEach(sensor => {
+                let newBypassSwitch = BypassSwitch.with(sensor, this.adt, this.log, hap, this.Accessory);
+
+                this.platformAccessories.push(newBypassSwitch);
+                newAccessories.push(newBypassSwitch);
+            });
+
+        this.emergencySwitches
+            .filter(emergency => !this.platformAccessories.some(cached => cached instanceof EmergencySwitch && cached.emergency === emergency))
+            .forEach(emergency => {
+                let newEmergencySwitch = EmergencySwitch.with(emergency, this.confirmationWindow, this.adt, this.log, hap, this.Accessory);
+
+                this.platformAccessories.push(newEmergencySwitch);
+                newAccessories.push(newEmergencySwitch);
+            });
+
+        if (this.hasConfirmDisarmSwitch() && !this.platformAccessories.some(cached => cached instanceof ConfirmDisarmSwitch)) {
+            let newConfirmDisarmSwitch = ConfirmDisarmSwitch.with(this.adt, this.log, hap, this.Accessory);
+
+            this.platformAccessories.push(newConfirmDisarmSwitch);
+            newAccessories.push(newConfirmDisarmSwitch);
+        }
+
+        if (this.schedulePauseSwitch && !this.platformAccessories.some(cached => cached instanceof SchedulePauseSwitch)) {
+            let newSchedulePauseSwitch = SchedulePauseSwitch.with(this.scheduler, this.log, hap, this.Accessory);
+
+            this.platformAccessories.push(newSchedulePauseSwitch);
+            newAccessories.push(newSchedulePauseSwitch);
+        }
+
+        updatedAccessories = updatedAccessories
+            .map(accessory => accessory.getAccessory())
+            .filter(unique)
+            .filter(accessory => this.platformAccessories.some(registered => registered.getAccessory() === accessory));
+
+        if (updatedAccessories.length > 0) {
+            this.api.updatePlatformAccessories(updatedAccessories);
+        }
+
+        if (newAccessories.length > 0) {
+            let accessories = newAccessories.map(accessory => accessory.getAccessory()).filter(unique);
+
+            this.log("Found %s new platform accessories", accessories.length);
+
+            accessories.forEach(accessory => accessory.context.location = this.id);
+            this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, accessories);
+        }
+    }
+
+    /**
+     * Partitions besides the main one, which is the security system named
+     * after the location.
+     */
+    partitionsOf(state) {
+        return (state.partitions || []).slice(1);
+    }
+
+    hasBypassSwitch(sensorName) {
+        return this.bypassSwitches === true || (Array.isArray(this.bypassSwitches) && this.bypassSwitches.indexOf(sensorName) > -1);
+    }
+
+    hasConfirmDisarmSwitch() {
+        return !!this.adt.disarmGuard && this.adt.disarmGuard.requiresConfirmation();
+    }
+
+    setupCameras(cameras) {
+        this.publishedCameras
+            .filter(published => !cameras.some(cam => cam.id === published.id))
+            .forEach(published => this.log.warn("Camera %s no longer exists. Restart homebridge to remove it", published.name));
+
+        this.cameraAccesories
+            .filter(cameraAccessory => cameras.some(cam => cam.id === cameraAccessory.cameraId && cam.name !== cameraAccessory.cameraName))
+            .forEach(cameraAccessory => cameraAccessory.rename(cameras.find(cam => cam.id === cameraAccessory.cameraId).name));
+
+        let newCameras = cameras.filter(cam => !this.publishedCameras.some(published => published.id === cam.id));
+        newCameras.forEach(cam => this.publishedCameras.push({id: cam.id, name: cam.name}));
+
+        let cameraAccessories = this.cachedCameraAccessories.concat(newCameras.map(cam => Camera.with(cam, this.adt, this.log, this.hap, this.Accessory)));
+        this.cachedCameraAccessories = [];
+
+        if (cameraAccessories.length === 0) {
+            return;
+        }
+
+        Promise.all(cameraAccessories)
+            .then((cameras) => {
+                this.log('Publishing %s cameras', cameras.length);
+
+                this.cameraAccesories = this.cameraAccesories.concat(cameras);
+
+                this.api.publishCameraAccessories(PLUGIN_NAME, cameras.map(camera => camera.getAccessory()));
+            });
+    }
+
+    /**
+     * Zones renamed in the ADT app are renamed right away, not on the next
+     * rediscovery, as accessories find their zone by id.
+     */
+    updateState(state) {
+        let renamedAccessories = this.identifyAccessories(state)
+            .map(accessory => accessory.getAccessory())
+            .filter(unique);
+
+        if (renamedAccessories.length > 0) {
+            this.api.updatePlatformAccessories(renamedAccessories);
+        }
+
+        this.log.debug("Updating platform accessories with", JSON.stringify(state));
+        this.platformAccessories.forEach(accessory => accessory.updateCharacteristics(state));
+    }
+
+    updateCircuitState(circuitState) {
+        this.platformAccessories
+            .filter(accessory => accessory.updateCircuitState)
+            .forEach(accessory => accessory.updateCircuitState(circuitState));
+    }
+}
+
+module.exports = {
+    Location
+};
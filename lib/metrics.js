@@ -0,0 +1,160 @@
+// Upper bounds in seconds, from a quick dashboard load to a portal about to time out
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = function (labels) {
+    let names = Object.keys(labels);
+
+    return names.length === 0 ? '' : '{' + names.map(name => name + '="' + escapeLabel(labels[name]) + '"').join(',') + '}';
+};
+
+/**
+ * Base of counters and histograms: one series per combination of label
+ * values, kept in the order they were first seen.
+ */
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    seriesOf(labels, create) {
+        let key = formatLabels(labels);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, Object.assign({labels: labels}, create()));
+        }
+
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        return ['# HELP ' + this.name + ' ' + this.help, '# TYPE ' + this.name + ' ' + this.type].concat(this.samples());
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesOf(labels, () => ({value: 0})).value += value;
+    }
+
+    get(labels = {}) {
+        let series = this.series.get(formatLabels(labels));
+
+        return series ? series.value : 0;
+    }
+
+    samples() {
+        if (this.series.size === 0) {
+            return [this.name + ' 0'];
+        }
+
+        return Array.from(this.series.values()).map(series => this.name + formatLabels(series.labels) + ' ' + series.value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        let series = this.seriesOf(labels, () => ({counts: this.buckets.map(() => 0), sum: 0, count: 0}));
+
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) {
+                series.counts[index]++;
+            }
+        });
+
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Returns a function that observes the seconds passed since the call.
+     */
+    startTimer(labels = {}) {
+        let start = process.hrtime();
+
+        return () => {
+            let elapsed = process.hrtime(start);
+
+            this.observe(labels, elapsed[0] + elapsed[1] / 1e9);
+        };
+    }
+
+    samples() {
+        return Array.from(this.series.values()).reduce((lines, series) => lines.concat(
+            this.buckets.map((bucket, index) => this.name + '_bucket' + formatLabels(Object.assign({}, series.labels, {le: bucket})) + ' ' + series.counts[index]),
+            this.name + '_bucket' + formatLabels(Object.assign({}, series.labels, {le: '+Inf'})) + ' ' + series.count,
+            this.name + '_sum' + formatLabels(series.labels) + ' ' + series.sum,
+            this.name + '_count' + formatLabels(series.labels) + ' ' + series.count
+        ), []);
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+
+        return metric;
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+
+    /**
+     * The metrics in the Prometheus text exposition format.
+     */
+    render() {
+        return this.metrics.reduce((lines, metric) => lines.concat(metric.render()), []).join('\n') + '\n';
+    }
+}
+
+/**
+ * Metrics of the plugin, shared by every location.
+ */
+const registry = new Registry();
+
+module.exports = {
+    Counter,
+    Histogram,
+    Registry,
+    registry,
+    logins: registry.counter('adt_logins_total', 'Logins to the ADT portal'),
+    loginFailures: registry.counter('adt_login_failures_total', 'Logins to the ADT portal that failed'),
+    dashboardFetchDuration: registry.histogram('adt_dashboard_fetch_duration_seconds', 'Time taken to fetch the dashboard', LATENCY_BUCKETS),
+    parseFailures: registry.counter('adt_dashboard_parse_failures_total', 'Dashboard fields that could not be parsed, by field'),
+    recoveryAttempts: registry.counter('adt_recovery_attempts_total', 'Attempts to recover from portal failures, by outcome'),
+    stateCommands: registry.counter('adt_state_commands_total', 'Arm and disarm requests, by mode'),
+    stateOutcomes: registry.counter('adt_state_command_outcomes_total', 'Outcomes of arm and disarm requests, by mode and outcome'),
+    streamSessions: registry.counter('adt_stream_sessions_total', 'Live stream sessions, by outcome'),
+    ffmpegExits: registry.counter('adt_ffmpeg_exits_total', 'ffmpeg processes that ended, by exit code'),
+    snapshotFallbacks: registry.counter('adt_snapshot_fallbacks_total', 'Snapshots served from the last stored image')
+};
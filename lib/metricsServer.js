@@ -0,0 +1,55 @@
+const http = require('http');
+const bearerAuth = require('./bearerAuth');
+const metrics = require('./metrics');
+
+/**
+ * Optional HTTP server exposing the plugin metrics to Prometheus on
+ * GET /metrics. When a token is set, scrapes need an
+ * "Authorization: Bearer <token>" header. Binds to 127.0.0.1 by default, a
+ * Prometheus on another machine needs host set.
+ */
+class MetricsServer {
+    constructor(config, log, registry = metrics.registry) {
+        this.log = log;
+        this.registry = registry;
+        this.port = config.port === undefined ? 9582 : config.port;
+        this.host = config.host || '127.0.0.1';
+        this.token = config.token;
+        this.server = http.createServer(this.handle.bind(this));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server
+                .once('error', reject)
+                .listen(this.port, this.host, () => {
+                    this.log('Metrics listening on %s:%s', this.host, this.server.address().port);
+                    resolve(this.server.address().port);
+                });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    handle(req, res) {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            return res.end('Not found\n');
+        }
+
+        if (this.token && !bearerAuth.isAuthorized(req, this.token)) {
+            this.log.warn('Rejected unauthorized metrics request from', req.socket.remoteAddress);
+            res.writeHead(401, {'Content-Type': 'text/plain'});
+            return res.end('Unauthorized\n');
+        }
+
+        res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+        res.end(this.registry.render());
+    }
+}
+
+module.exports = {
+    MetricsServer
+};
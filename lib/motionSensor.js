@@ -0,0 +1,104 @@
+let Characteristic, Service;
+
+class MotionSensor {
+    static from(cachedAccessory, log, hap) {
+        log.debug("Building motion sensor from cachedAccessory=%s", cachedAccessory.displayName);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        return new MotionSensor(cachedAccessory.context.sensorName || cachedAccessory.displayName, undefined, log, cachedAccessory);
+    }
+
+    static with(sensorInfo, log, hap, platformAccessory) {
+        log.debug("Building new motion sensor with name=%s", sensorInfo.name);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        let accessory = new platformAccessory(sensorInfo.name, hap.uuid.generate(sensorInfo.id ? 'zone:' + sensorInfo.id : sensorInfo.name), hap.Accessory.Categories.SENSOR);
+        accessory.context.sensorName = sensorInfo.name;
+        accessory.context.zoneId = sensorInfo.id;
+
+        return new MotionSensor(sensorInfo.name, sensorInfo.motionDetected, log, accessory);
+    }
+
+    constructor(name, motionDetected, log, platformAccessory) {
+        this.name = name;
+        this.log = log;
+        this.platformAccessory = platformAccessory;
+        this.zoneId = platformAccessory.context.zoneId;
+        this.motionSensorService = this.platformAccessory.getService(Service.MotionSensor) || this.platformAccessory.addService(Service.MotionSensor, this.name);
+
+        this.log.debug("Initializing characteristics for", this.name);
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Manufacturer, 'ADT')
+            .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
+
+        this.motionSensorService
+            .getCharacteristic(Characteristic.MotionDetected)
+            .on('get', this.getState.bind(this));
+
+        this.state = !!motionDetected;
+    }
+
+    getAccessory() {
+        return this.platformAccessory;
+    }
+
+    isZone(sensorInfo) {
+        return this.zoneId ? this.zoneId === sensorInfo.id : this.name === sensorInfo.name;
+    }
+
+    /**
+     * Takes the zone id and name reported by ADT, renaming the accessory in
+     * place when the zone was renamed in the ADT app. Returns whether
+     * anything changed.
+     */
+    identify(sensorInfo) {
+        if (this.zoneId === sensorInfo.id && this.name === sensorInfo.name) {
+            return false;
+        }
+
+        if (!this.zoneId) {
+            this.log("Remembering zone id %s for motion sensor %s", sensorInfo.id, this.name);
+        }
+
+        if (sensorInfo.name !== this.name) {
+            this.log("Motion sensor %s was renamed to %s in ADT", this.name, sensorInfo.name);
+
+            this.platformAccessory.getService(Service.AccessoryInformation)
+                .setCharacteristic(Characteristic.Name, sensorInfo.name);
+            this.motionSensorService.setCharacteristic(Characteristic.Name, sensorInfo.name);
+        }
+
+        this.name = sensorInfo.name;
+        this.zoneId = sensorInfo.id;
+        this.platformAccessory.context.sensorName = this.name;
+        this.platformAccessory.context.zoneId = this.zoneId;
+
+        return true;
+    }
+
+    getState(callback) {
+        callback(null, this.state);
+    }
+
+    updateCharacteristics(newState) {
+        let motionSensor = (newState.motionSensors || []).find(sensor => this.isZone(sensor));
+
+        this.log.debug('Updating %s motion sensor characteristics to', this.name, JSON.stringify(motionSensor));
+
+        this.state = !!motionSensor && motionSensor.motionDetected;
+
+        this.motionSensorService
+            .getCharacteristic(Characteristic.MotionDetected)
+            .updateValue(this.state);
+    }
+}
+
+module.exports = {
+    MotionSensor
+};
@@ -0,0 +1,175 @@
+const mqtt = require('mqtt');
+const alarmModes = require('./alarmModes');
+
+/**
+ * Optional MQTT publisher mirroring the ADT state to retained topics:
+ *
+ *   <topic>/alarm/state                  home, away, night, off or triggered
+ *   <topic>/alarm/target                 home, away, night or off
+ *   <topic>/alarm/battery                battery level (%)
+ *   <topic>/alarm/battery/low            true or false
+ *   <topic>/alarm/fault                  true when not ready or ADT is unreachable
+ *   <topic>/sensors/<sensor>/contact     closed or open
+ *   <topic>/sensors/<sensor>/motion      true or false
+ *   <topic>/cameras                      JSON list of cameras found on the dashboard
+ *
+ * Changes are also published as JSON to <topic>/events, and alarm modes
+ * published to <topic>/alarm/set arm or disarm the system.
+ */
+class MqttBridge {
+    constructor(adt, config, log) {
+        this.adt = adt;
+        this.log = log;
+        this.url = config.url || 'mqtt://localhost:1883';
+        this.topic = config.topic || 'adt';
+        this.options = {
+            username: config.username,
+            password: config.password,
+            clientId: config.clientId || 'homebridge-adt-' + Math.random().toString(16).substring(2, 10),
+            will: {
+                topic: this.topic + '/online',
+                payload: 'false',
+                retain: true
+            }
+        };
+        this.published = {};
+        this.circuitState = adt.getCircuitState();
+
+        this.onState = this.publishState.bind(this);
+        this.onCircuit = this.publishCircuitState.bind(this);
+        this.onMotion = this.publishMotion.bind(this);
+    }
+
+    start() {
+        this.client = mqtt.connect(this.url, this.options);
+
+        this.client
+            .on('connect', () => {
+                this.log('Connected to MQTT broker', this.url);
+
+                this.client.publish(this.topic + '/online', 'true', {retain: true});
+                this.client.subscribe(this.topic + '/alarm/set');
+
+                let state = this.adt.getState();
+
+                if (state) {
+                    this.publishState(state);
+                }
+            })
+            .on('message', this.handleCommand.bind(this))
+            .on('error', error => this.log.error('MQTT error', error.message));
+
+        this.adt
+            .on('state', this.onState)
+            .on('circuit', this.onCircuit)
+            .on('motion', this.onMotion);
+
+        return this;
+    }
+
+    stop() {
+        this.adt
+            .removeListener('state', this.onState)
+            .removeListener('circuit', this.onCircuit)
+            .removeListener('motion', this.onMotion);
+
+        return new Promise(resolve => this.client.end(false, {}, () => resolve()));
+    }
+
+    publishState(state) {
+        this.publish('alarm/state', alarmModes.nameOf(state.alarm.armingState), {type: 'alarm', zone: state.alarm.triggeredZone});
+        this.publish('alarm/target', alarmModes.nameOf(state.alarm.targetState), {type: 'target'});
+        this.publish('alarm/battery', state.alarm.batteryLevel, {type: 'battery'});
+        this.publish('alarm/battery/low', state.alarm.lowBatteryStatus === 1, {type: 'lowBattery'});
+        this.publish('alarm/fault', this.circuitState === 'open' || state.alarm.faultStatus === 1, {type: 'fault'});
+
+        state.contactSensors.forEach(sensor => this.publish('sensors/' + this.topicName(sensor.name) + '/contact', sensor.status ? 'closed' : 'open', {
+            type: 'contact',
+            sensor: sensor.name
+        }));
+
+        (state.motionSensors || []).forEach(sensor => this.publish('sensors/' + this.topicName(sensor.name) + '/motion', sensor.motionDetected, {
+            type: 'motion',
+            sensor: sensor.name
+        }));
+
+        this.publish('cameras', JSON.stringify(state.cameras), {type: 'cameras'});
+    }
+
+    publishCircuitState(circuitState) {
+        let state = this.adt.getState();
+
+        this.circuitState = circuitState;
+        this.publish('alarm/fault', circuitState === 'open' || !!state && state.alarm.faultStatus === 1, {type: 'fault'});
+    }
+
+    publishMotion(motion) {
+        this.publishEvent({
+            type: 'motionDetected',
+            sensor: motion.name,
+            armed: motion.armed
+        });
+    }
+
+    publish(topic, value, event) {
+        if (value === undefined || !this.client || !this.client.connected) {
+            return;
+        }
+
+        let payload = String(value);
+        let previous = this.published[topic];
+
+        if (previous === payload) {
+            return;
+        }
+
+        this.published[topic] = payload;
+        this.client.publish(this.topic + '/' + topic, payload, {retain: true});
+
+        if (previous !== undefined) {
+            this.publishEvent(Object.assign({}, event, {value: value, previous: previous}));
+        }
+    }
+
+    publishEvent(event) {
+        if (this.client && this.client.connected) {
+            this.client.publish(this.topic + '/events', JSON.stringify(Object.assign({timestamp: new Date().toISOString()}, event)));
+        }
+    }
+
+    handleCommand(topic, message) {
+        let mode = message.toString().trim().toLowerCase();
+        let status = alarmModes.stateOf(mode);
+
+        this.log('MQTT requested alarm mode', mode);
+
+        if (status === undefined) {
+            this.log.warn('Ignoring unknown MQTT alarm mode', mode);
+            this.publishEvent({type: 'command', mode: mode, error: 'Unknown mode'});
+            return;
+        }
+
+        if (status === alarmModes.MODES.night && !this.adt.isNightModeSupported()) {
+            this.log.warn('Ignoring MQTT night mode, night mode is not configured');
+            this.publishEvent({type: 'command', mode: mode, error: 'Night mode is not configured'});
+            return;
+        }
+
+        let error = this.adt.setState(status, undefined, 'MQTT');
+
+        this.publishEvent(error ? {type: 'command', mode: mode, error: error.message} : {type: 'command', mode: mode});
+    }
+
+    topicName(name) {
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+}
+
+module.exports = {
+    MqttBridge
+};
@@ -0,0 +1,195 @@
+const nodemailer = require('nodemailer');
+const request = require('request-promise');
+
+const DEFAULT_TIMEOUT = 10;
+const TELEGRAM_URL = 'https://api.telegram.org';
+const NTFY_URL = 'https://ntfy.sh';
+const SNAPSHOT_NAME = 'snapshot.jpg';
+
+/**
+ * Encodes a header value as RFC 2047 when it is not plain ASCII, HTTP
+ * headers cannot carry anything else.
+ */
+const encodeHeader = function (value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : '=?UTF-8?B?' + Buffer.from(value).toString('base64') + '?=';
+};
+
+const required = function (options, names) {
+    let missing = names.filter(name => !options[name]);
+
+    if (missing.length > 0) {
+        throw new Error('Missing ' + missing.join(', '));
+    }
+};
+
+/**
+ * POSTs every notification as JSON. The snapshot, if any, is sent as a
+ * base64 encoded JPEG in the image field.
+ */
+class WebhookTransport {
+    constructor(options) {
+        required(options, ['url']);
+
+        this.options = options;
+    }
+
+    send(message) {
+        return request({
+            method: this.options.method || 'POST',
+            uri: this.options.url,
+            headers: this.options.headers,
+            timeout: (this.options.timeout || DEFAULT_TIMEOUT) * 1000,
+            json: {
+                event: message.event,
+                title: message.title,
+                message: message.text,
+                timestamp: message.timestamp.toISOString(),
+                data: message.data,
+                image: message.image ? message.image.toString('base64') : undefined
+            }
+        });
+    }
+}
+
+/**
+ * Telegram style bot API: sendMessage, or sendPhoto with the message as
+ * caption when there is a snapshot.
+ */
+class TelegramTransport {
+    constructor(options) {
+        required(options, ['token', 'chatId']);
+
+        this.options = options;
+    }
+
+    send(message) {
+        let url = (this.options.url || TELEGRAM_URL).replace(/\/$/, '') + '/bot' + this.options.token;
+        let timeout = (this.options.timeout || DEFAULT_TIMEOUT) * 1000;
+
+        if (message.image) {
+            return request({
+                method: 'POST',
+                uri: url + '/sendPhoto',
+                timeout: timeout,
+                formData: {
+                    chat_id: String(this.options.chatId),
+                    caption: message.text,
+                    photo: {
+                        value: message.image,
+                        options: {filename: SNAPSHOT_NAME, contentType: 'image/jpeg'}
+                    }
+                }
+            });
+        }
+
+        return request({
+            method: 'POST',
+            uri: url + '/sendMessage',
+            timeout: timeout,
+            json: {
+                chat_id: this.options.chatId,
+                text: message.text
+            }
+        });
+    }
+}
+
+/**
+ * Publishes to an ntfy topic. A snapshot is uploaded as the attachment and
+ * the text moves to the Message header.
+ */
+class NtfyTransport {
+    constructor(options) {
+        required(options, ['topic']);
+
+        this.options = options;
+    }
+
+    send(message) {
+        let headers = {
+            'Title': encodeHeader(message.title),
+            'Priority': message.priority
+        };
+
+        if (this.options.token) {
+            headers['Authorization'] = 'Bearer ' + this.options.token;
+        }
+
+        if (message.image) {
+            headers['Filename'] = SNAPSHOT_NAME;
+            headers['Message'] = encodeHeader(message.text);
+        }
+
+        return request({
+            method: message.image ? 'PUT' : 'POST',
+            uri: (this.options.url || NTFY_URL).replace(/\/$/, '') + '/' + encodeURIComponent(this.options.topic),
+            headers: headers,
+            auth: this.options.username ? {user: this.options.username, pass: this.options.password} : undefined,
+            timeout: (this.options.timeout || DEFAULT_TIMEOUT) * 1000,
+            body: message.image || message.text
+        });
+    }
+}
+
+/**
+ * Sends mail through an SMTP server, with STARTTLS when the server offers
+ * it, or implicit TLS with secure. Logs in when a username is set. The
+ * snapshot is attached as snapshot.jpg.
+ */
+class SmtpTransport {
+    constructor(options) {
+        required(options, ['host', 'from', 'to']);
+
+        let timeout = (options.timeout || DEFAULT_TIMEOUT) * 1000;
+
+        this.options = options;
+        this.mailer = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || (options.secure ? 465 : 587),
+            secure: !!options.secure,
+            ignoreTLS: options.starttls === false,
+            name: options.hostname,
+            auth: options.username ? {user: options.username, pass: options.password} : undefined,
+            tls: {rejectUnauthorized: options.rejectUnauthorized !== false},
+            connectionTimeout: timeout,
+            greetingTimeout: timeout,
+            socketTimeout: timeout
+        });
+    }
+
+    send(message) {
+        return this.mailer.sendMail({
+            from: this.options.from,
+            to: [].concat(this.options.to),
+            subject: message.title,
+            text: message.text,
+            date: message.timestamp,
+            attachments: message.image ? [{filename: SNAPSHOT_NAME, content: message.image, contentType: 'image/jpeg'}] : []
+        });
+    }
+}
+
+const TRANSPORTS = {
+    webhook: WebhookTransport,
+    telegram: TelegramTransport,
+    ntfy: NtfyTransport,
+    smtp: SmtpTransport
+};
+
+const create = function (options) {
+    let Transport = TRANSPORTS[options.type];
+
+    if (!Transport) {
+        throw new Error('Unknown type ' + options.type + '. Use one of ' + Object.keys(TRANSPORTS).join(', '));
+    }
+
+    return new Transport(options);
+};
+
+module.exports = {
+    create,
+    WebhookTransport,
+    TelegramTransport,
+    NtfyTransport,
+    SmtpTransport
+};
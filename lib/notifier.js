@@ -0,0 +1,209 @@
+const alarmModes = require('./alarmModes');
+const transports = require('./notificationTransports');
+
+const EVENTS = ['armed', 'disarmed', 'armFailed', 'disarmFailed', 'triggered', 'cleared', 'motion', 'sessionFailed', 'sessionRestored'];
+
+const DEFAULT_TEMPLATES = {
+    title: '{name}',
+    armed: '{name} armed ({mode})',
+    disarmed: '{name} disarmed',
+    armFailed: 'Could not arm {name}{partition} ({mode}). {reason}',
+    disarmFailed: 'Could not disarm {name}{partition}. {reason}',
+    triggered: 'Alarm triggered by {zone}',
+    cleared: 'Alarm cleared',
+    motion: 'Motion detected by {sensor} while armed',
+    sessionFailed: 'Lost the connection to ADT. {reason}',
+    sessionRestored: 'Connected to ADT again'
+};
+
+const DEFAULT_RATE_LIMIT = {
+    messages: 10,
+    period: 60
+};
+
+// Events that get the high priority where the transport has one
+const URGENT = ['armFailed', 'disarmFailed', 'triggered', 'sessionFailed'];
+
+// Events a camera snapshot is attached to
+const SNAPSHOT_EVENTS = ['triggered', 'motion'];
+
+/**
+ * Turns the base64 data URL of a camera image into the JPEG bytes.
+ */
+const decodeImage = function (image) {
+    let match = /^data:[^,]*;base64,(.+)$/.exec(image || '');
+
+    if (!match) {
+        throw new Error('Not a base64 image');
+    }
+
+    return Buffer.from(match[1], 'base64');
+};
+
+/**
+ * Allows a number of messages per period (in seconds), sliding window.
+ */
+class RateLimiter {
+    constructor(options, now = () => Date.now()) {
+        this.options = Object.assign({}, DEFAULT_RATE_LIMIT, options);
+        this.now = now;
+        this.sent = [];
+    }
+
+    allow() {
+        let now = this.now();
+
+        this.sent = this.sent.filter(time => time > now - this.options.period * 1000);
+
+        if (this.sent.length >= this.options.messages) {
+            return false;
+        }
+
+        this.sent.push(now);
+
+        return true;
+    }
+}
+
+/**
+ * Sends notifications for Adt events through the configured transports:
+ * generic webhooks, SMTP, Telegram style bots and ntfy. Each transport can
+ * be limited to some events and is rate limited on its own. Messages are
+ * templates where {name}, {mode}, {zone}, {sensor}, {partition}, {reason}
+ * and {time} are replaced. A camera snapshot is attached to alarm and
+ * motion (while armed) notifications.
+ */
+class Notifier {
+    constructor(adt, config, log) {
+        this.adt = adt;
+        this.log = log;
+        this.name = config.name || 'ADT';
+        this.templates = Object.assign({}, DEFAULT_TEMPLATES, config.templates);
+        this.snapshots = config.snapshots !== false;
+        this.snapshotCamera = config.snapshotCamera;
+        // Events are raised while the status refreshes, the cached one is gone by then
+        this.cameras = adt.getState() ? adt.getState().cameras : [];
+
+        this.transports = (config.transports || [])
+            .map((options, index) => {
+                let name = options.name || options.type + ' ' + (index + 1);
+
+                try {
+                    let unknown = (options.events || []).filter(event => EVENTS.indexOf(event) === -1);
+
+                    if (unknown.length > 0) {
+                        throw new Error('Unknown events ' + unknown.join(', ') + '. Use some of ' + EVENTS.join(', '));
+                    }
+
+                    return {
+                        name: name,
+                        events: options.events,
+                        transport: transports.create(options),
+                        rateLimiter: new RateLimiter(options.rateLimit)
+                    };
+                } catch (error) {
+                    this.log.warn('Ignoring notification transport %s. %s', name, error.message);
+                }
+            })
+            .filter(transport => transport);
+
+        this.listeners = {
+            armed: armed => this.notify('armed', {mode: alarmModes.nameOf(armed.status)}),
+            disarmed: () => this.notify('disarmed', {}),
+            stateFailed: failure => this.notify(failure.status === 3 ? 'disarmFailed' : 'armFailed', {
+                mode: alarmModes.nameOf(failure.status),
+                partition: this.adt.describePartition(failure.partition),
+                reason: failure.reason
+            }),
+            triggered: triggered => this.notify('triggered', {zone: triggered.zone || 'unknown zone'}),
+            cleared: () => this.notify('cleared', {}),
+            motion: motion => motion.armed ? this.notify('motion', {sensor: motion.name}) : undefined,
+            sessionFailed: failure => this.notify('sessionFailed', {reason: failure.reason}),
+            circuit: circuitState => circuitState === 'closed' ? this.notify('sessionRestored', {}) : undefined,
+            init: state => this.cameras = state.cameras,
+            state: state => this.cameras = state.cameras
+        };
+    }
+
+    start() {
+        this.log('Sending notifications through %s transports', this.transports.length);
+
+        Object.keys(this.listeners).forEach(event => this.adt.on(event, this.listeners[event]));
+
+        return this;
+    }
+
+    stop() {
+        Object.keys(this.listeners).forEach(event => this.adt.removeListener(event, this.listeners[event]));
+    }
+
+    render(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : '');
+    }
+
+    /**
+     * Delivers an event through every transport that takes it. Failures are
+     * logged, the returned promise always resolves.
+     */
+    async notify(event, data) {
+        let recipients = this.transports.filter(transport => !transport.events || transport.events.indexOf(event) > -1);
+
+        if (recipients.length === 0) {
+            return;
+        }
+
+        let timestamp = new Date();
+        let values = Object.assign({name: this.name, partition: '', time: timestamp.toLocaleString()}, data);
+        let message = {
+            event: event,
+            title: this.render(this.templates.title, values),
+            text: this.render(this.templates[event], values).trim(),
+            priority: URGENT.indexOf(event) > -1 ? 'high' : 'default',
+            timestamp: timestamp,
+            data: data
+        };
+
+        recipients = recipients.filter(transport => {
+            let allowed = transport.rateLimiter.allow();
+
+            if (!allowed) {
+                this.log.warn('Notification rate limit of %s reached. Dropping %s notification', transport.name, event);
+            }
+
+            return allowed;
+        });
+
+        if (recipients.length > 0 && this.snapshots && SNAPSHOT_EVENTS.indexOf(event) > -1) {
+            message.image = await this.getSnapshot();
+        }
+
+        await Promise.all(recipients.map(transport => transport.transport.send(message)
+            .then(() => this.log.debug('Sent %s notification through %s', event, transport.name))
+            .catch(error => this.log.error('Could not send %s notification through %s.', event, transport.name, error.message))));
+    }
+
+    async getSnapshot() {
+        let camera = this.snapshotCamera ? this.cameras.find(candidate => candidate.id === this.snapshotCamera) : this.cameras[0];
+
+        if (!camera) {
+            return undefined;
+        }
+
+        try {
+            return decodeImage(await this.adt.getImage(camera.id));
+        } catch (error) {
+            this.log.warn('Could not get snapshot for notification, using existing image', error.message);
+
+            try {
+                return decodeImage(await this.adt.getExistingImage(camera.id));
+            } catch (error) {
+                this.log.warn('Sending notification without snapshot', error.message);
+                return undefined;
+            }
+        }
+    }
+}
+
+module.exports = {
+    Notifier
+};
@@ -0,0 +1,220 @@
+const request = require('request-promise');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_14_1) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/70.0.3538.110 Safari/537.36';
+const DASHBOARD_PATH = '/selfcare/dashboard.xhtml';
+const FRONTPAGE_PATH = '/selfcare/frontpage.xhtml';
+
+const DEFAULTS = {
+    timeout: 20,
+    retries: 2,
+    retryDelay: 1
+};
+
+class SessionRejectedError extends Error {
+    constructor() {
+        super('Session rejected. Redirected to login page.');
+        this.name = 'SessionRejectedError';
+    }
+}
+
+class HttpError extends Error {
+    constructor(statusCode, path) {
+        super('ADT portal answered ' + statusCode + ' to ' + path);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Default transport, built on request-promise. A transport creates cookie jars
+ * and sends requests, resolving with {statusCode, headers, body} whatever the
+ * HTTP status; only network errors and timeouts reject. Pass another one to
+ * PortalClient to move off the deprecated request library.
+ */
+const requestTransport = {
+    createJar: () => request.jar(),
+
+    send: options => request({
+        method: options.method,
+        uri: options.uri,
+        headers: options.headers,
+        form: options.form,
+        body: options.body,
+        json: options.json,
+        jar: options.jar,
+        timeout: options.timeout,
+        followAllRedirects: options.followRedirects,
+        resolveWithFullResponse: true,
+        simple: false
+    })
+};
+
+/**
+ * HTTP client for the selfcare portal. Requests carry the browser headers the
+ * portal expects and time out after `timeout` seconds. Idempotent requests are
+ * retried up to `retries` times on network errors and 5xx answers, and a
+ * request bounced to the login page is sent once more after `relogin()`.
+ *
+ * Request kinds: 'page' for HTML pages, 'ajax' for JSF partial requests and
+ * 'json' for the video controller.
+ */
+class PortalClient {
+    constructor(config, log, transport = requestTransport) {
+        this.log = log;
+        this.baseUrl = config.baseUrl;
+        this.domain = config.domain;
+        this.relogin = config.relogin;
+        this.options = Object.assign({}, DEFAULTS, config.http);
+        this.transport = transport;
+        this.jar = transport.createJar();
+    }
+
+    resetCookies() {
+        this.jar = this.transport.createJar();
+    }
+
+    setCookies(cookies) {
+        this.resetCookies();
+        cookies.forEach(cookie => this.jar.setCookie(cookie, this.baseUrl));
+    }
+
+    getCookies() {
+        return this.jar.getCookies(this.baseUrl).map(cookie => cookie.toString());
+    }
+
+    /**
+     * @param {Object} spec
+     * @param {string} spec.path
+     * @param {string} [spec.method]            GET by default
+     * @param {string} [spec.kind]              page, ajax or json; page by default
+     * @param {Object|Function} [spec.form]     form fields, or a function building them for every attempt
+     * @param {Object} [spec.body]              JSON body
+     * @param {Object|Function} [spec.headers]  headers added to the defaults of the kind, or a function building them
+     * @param {boolean} [spec.followRedirects]
+     * @param {boolean} [spec.idempotent]       safe to retry; true for GET by default
+     * @param {boolean} [spec.session]          false for requests that are part of the login itself
+     * @returns {Promise<{statusCode: number, headers: Object, body: *}>}
+     */
+    async send(spec) {
+        let retries = 0;
+        let reloggedIn = false;
+        let idempotent = spec.idempotent !== undefined ? spec.idempotent : (spec.method || 'GET') === 'GET';
+
+        while (true) {
+            try {
+                return await this.attempt(spec);
+            } catch (error) {
+                if (error instanceof SessionRejectedError && spec.session !== false && this.relogin && !reloggedIn) {
+                    reloggedIn = true;
+                    await this.loginAgain();
+                    continue;
+                }
+
+                if (idempotent && retries < this.options.retries && this.isRetryable(error)) {
+                    retries++;
+                    this.log.warn('Request to %s failed (%s). Retrying (%s/%s)', spec.path || '/', error.message, retries, this.options.retries);
+                    await new Promise(resolve => setTimeout(resolve, this.options.retryDelay * retries * 1000));
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    async attempt(spec) {
+        let path = spec.path || '';
+
+        let response = await this.transport.send({
+            method: spec.method || 'GET',
+            uri: this.baseUrl + path,
+            headers: Object.assign(this.headersFor(spec.kind || 'page'), typeof spec.headers === 'function' ? spec.headers() : spec.headers),
+            form: typeof spec.form === 'function' ? spec.form() : spec.form,
+            body: spec.body,
+            json: spec.kind === 'json',
+            jar: this.jar,
+            timeout: this.options.timeout * 1000,
+            followRedirects: !!spec.followRedirects
+        });
+
+        if (spec.session !== false && this.isLoginResponse(response)) {
+            throw new SessionRejectedError();
+        }
+
+        if (response.statusCode >= 400 || (response.statusCode >= 300 && !spec.followRedirects && spec.method && spec.method !== 'GET')) {
+            throw new HttpError(response.statusCode, path || '/');
+        }
+
+        return response;
+    }
+
+    loginAgain() {
+        if (!this.loggingIn) {
+            this.log.warn('Session rejected by portal. Logging in again');
+
+            this.loggingIn = Promise.resolve()
+                .then(() => this.relogin())
+                .finally(() => this.loggingIn = undefined);
+        }
+
+        return this.loggingIn;
+    }
+
+    isLoginResponse(response) {
+        let location = response.headers && response.headers.location || '';
+
+        return response.statusCode === 401
+            || response.statusCode === 403
+            || (response.statusCode >= 300 && response.statusCode < 400 && location.indexOf(FRONTPAGE_PATH) > -1)
+            || (typeof response.body === 'string' && /name=["']?j_username/.test(response.body));
+    }
+
+    isRetryable(error) {
+        return error instanceof HttpError ? error.statusCode >= 500 : !(error instanceof SessionRejectedError);
+    }
+
+    headersFor(kind) {
+        let headers = {
+            'Host': this.domain,
+            'User-Agent': USER_AGENT,
+            'Accept-Language': 'es-419,es;q=0.9,en;q=0.8',
+            'Accept-Encoding': 'br, gzip, deflate',
+            'Pragma': 'no-cache',
+            'Upgrade-Insecure-Requests': '1',
+            'Connection': 'keep-alive'
+        };
+
+        switch (kind) {
+            case 'ajax':
+                return Object.assign(headers, {
+                    'Accept': '*/*',
+                    'Origin': this.baseUrl,
+                    'Referer': this.baseUrl + DASHBOARD_PATH,
+                    'Faces-Request': 'partial/ajax',
+                    'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
+                    'Expires': -1
+                });
+            case 'json':
+                return Object.assign(headers, {
+                    'Accept': 'application/json, text/javascript, */*; q=0.01',
+                    'Origin': this.baseUrl,
+                    'Referer': this.baseUrl + DASHBOARD_PATH,
+                    'Cache-Control': 'no-cache',
+                    'X-Requested-With': 'XMLHttpRequest'
+                });
+            default:
+                return Object.assign(headers, {
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+                    'Cache-Control': 'private, no-cache, no-store, must-revalidate, max-age=0',
+                    'Expires': -1
+                });
+        }
+    }
+}
+
+module.exports = {
+    PortalClient,
+    SessionRejectedError,
+    HttpError,
+    requestTransport
+};
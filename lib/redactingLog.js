@@ -0,0 +1,52 @@
+const util = require('util');
+
+const MASK = '***';
+const LEVELS = ['info', 'warn', 'error', 'debug'];
+
+// Session cookies, CSRF tokens and passwords as they show up in headers, forms and JSON dumps
+const PATTERNS = [
+    {regex: /\b(JSESSIONID|BIGipServer[\w.-]*)=[^;,\s"']+/g, replacement: '$1=' + MASK},
+    {regex: /\b(_csrf|j_password|password|x-csrf-token|token)(["']?\s*[:=]\s*["']?)[^&;,\s"'}]+/gi, replacement: '$1$2' + MASK}
+];
+
+/**
+ * Wraps a homebridge logger so that every line is formatted first and then
+ * scrubbed of known secrets (registered with addSecret) and of anything that
+ * looks like a session cookie, CSRF token or password. Wrapping an already
+ * redacting logger returns it unchanged, so all modules share one secret list.
+ */
+const redact = function (log) {
+    if (log.addSecret) {
+        return log;
+    }
+
+    const secrets = new Set();
+
+    const clean = (...args) => {
+        let message = util.format(...args);
+
+        Array.from(secrets)
+            .sort((a, b) => b.length - a.length)
+            .forEach(secret => message = message.split(secret).join(MASK));
+
+        PATTERNS.forEach(pattern => message = message.replace(pattern.regex, pattern.replacement));
+
+        return message;
+    };
+
+    const redacted = (...args) => log('%s', clean(...args));
+
+    LEVELS.forEach(level => redacted[level] = (...args) => log[level]('%s', clean(...args)));
+
+    redacted.addSecret = secret => {
+        if (secret !== undefined && secret !== null && String(secret).length >= 4) {
+            secrets.add(String(secret));
+        }
+    };
+
+    return redacted;
+};
+
+module.exports = {
+    redact
+};
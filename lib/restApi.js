@@ -0,0 +1,146 @@
+const http = require('http');
+const alarmModes = require('./alarmModes');
+const bearerAuth = require('./bearerAuth');
+const DisarmRefusedError = require('./disarmGuard').DisarmRefusedError;
+
+/**
+ * Optional local HTTP API to inspect and control the alarm from scripts.
+ *
+ *   GET  /status                   current state, as returned by Adt.getState()
+ *   POST /alarm/:mode              arm (home, away, night) or disarm (off), 400 for night without nightMode,
+ *                                  403 when the disarm safeguards refuse
+ *   GET  /cameras                  cameras found on the dashboard
+ *   GET  /cameras/:id/snapshot     JPEG snapshot, falling back to the last stored image
+ *
+ * Every request needs an "Authorization: Bearer <token>" header. The server only
+ * listens on the loopback interface unless another host is configured.
+ */
+class RestApi {
+    constructor(adt, config, log) {
+        this.adt = adt;
+        this.log = log;
+        this.port = config.port === undefined ? 8582 : config.port;
+        this.host = config.host || '127.0.0.1';
+        this.token = config.token;
+
+        if (!this.token) {
+            throw new Error('Missing API token. Please check configuration.');
+        }
+
+        this.server = http.createServer(this.handle.bind(this));
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server
+                .once('error', reject)
+                .listen(this.port, this.host, () => {
+                    this.log('REST API listening on %s:%s', this.host, this.server.address().port);
+                    resolve(this.server.address().port);
+                });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(req, res) {
+        let path = req.url.split('?')[0].split('/').filter(segment => segment);
+
+        this.log.debug('REST API request', req.method, req.url);
+
+        if (!bearerAuth.isAuthorized(req, this.token)) {
+            this.log.warn('Rejected unauthorized REST API request from', req.socket.remoteAddress);
+            return this.send(res, 401, {error: 'Unauthorized'});
+        }
+
+        try {
+            if (req.method === 'GET' && path.length === 1 && path[0] === 'status') {
+                this.getStatus(res);
+            } else if (req.method === 'POST' && path.length === 2 && path[0] === 'alarm') {
+                this.setAlarm(path[1], 'REST API client ' + req.socket.remoteAddress, res);
+            } else if (req.method === 'GET' && path.length === 1 && path[0] === 'cameras') {
+                this.getCameras(res);
+            } else if (req.method === 'GET' && path.length === 3 && path[0] === 'cameras' && path[2] === 'snapshot') {
+                await this.getSnapshot(decodeURIComponent(path[1]), res);
+            } else {
+                this.send(res, 404, {error: 'Not found'});
+            }
+        } catch (error) {
+            this.log.error('REST API request failed', error.message);
+            this.send(res, 500, {error: error.message});
+        }
+    }
+
+    getStatus(res) {
+        let state = this.adt.getState();
+
+        if (!state) {
+            return this.send(res, 503, {error: 'Status not available yet'});
+        }
+
+        this.send(res, 200, state);
+    }
+
+    setAlarm(mode, origin, res) {
+        let status = alarmModes.stateOf(mode);
+
+        if (status === undefined) {
+            return this.send(res, 400, {error: 'Unknown mode ' + mode + '. Use one of ' + Object.keys(alarmModes.MODES).join(', ')});
+        }
+
+        if (status === alarmModes.MODES.night && !this.adt.isNightModeSupported()) {
+            return this.send(res, 400, {error: 'Night mode is not configured'});
+        }
+
+        if (!this.adt.getState()) {
+            return this.send(res, 503, {error: 'Status not available yet'});
+        }
+
+        this.log('REST API requested alarm mode', mode);
+
+        let error = this.adt.setState(status, undefined, origin);
+
+        if (error) {
+            return this.send(res, error instanceof DisarmRefusedError ? 403 : 409, {error: error.message});
+        }
+
+        this.send(res, 202, {targetState: status});
+    }
+
+    getCameras(res) {
+        let state = this.adt.getState();
+
+        this.send(res, 200, state ? state.cameras : []);
+    }
+
+    async getSnapshot(cameraId, res) {
+        let state = this.adt.getState();
+
+        if (!state || !state.cameras.some(camera => camera.id === cameraId)) {
+            return this.send(res, 404, {error: 'Unknown camera ' + cameraId});
+        }
+
+        let image;
+
+        try {
+            image = await this.adt.getImage(cameraId);
+        } catch (error) {
+            this.log.warn('Could not get snapshot, using existing image', error.message);
+            image = await this.adt.getExistingImage(cameraId);
+        }
+
+        res.writeHead(200, {'Content-Type': 'image/jpeg'});
+        res.end(Buffer.from(image.split(',')[1], 'base64'));
+    }
+
+    send(res, statusCode, body) {
+        res.writeHead(statusCode, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = {
+    RestApi
+};
@@ -0,0 +1,85 @@
+let Characteristic, Service;
+
+const NAME = 'Pause Schedule';
+
+/**
+ * Switch that pauses the arming schedule while it is on. The accessory
+ * remembers the switch across restarts in context.paused.
+ */
+class SchedulePauseSwitch {
+    static from(cachedAccessory, scheduler, log, hap) {
+        log.debug("Building schedule pause switch from cachedAccessory=%s", cachedAccessory.displayName);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        return new SchedulePauseSwitch(log, scheduler, cachedAccessory);
+    }
+
+    static with(scheduler, log, hap, platformAccessory) {
+        log.debug("Building new schedule pause switch with name=%s", NAME);
+
+        Characteristic = hap.Characteristic;
+        Service = hap.Service;
+
+        let accessory = new platformAccessory(NAME, hap.uuid.generate('schedulePause'), hap.Accessory.Categories.SWITCH);
+        accessory.context.schedulePause = true;
+        accessory.context.paused = false;
+
+        return new SchedulePauseSwitch(log, scheduler, accessory);
+    }
+
+    static nameFor() {
+        return NAME;
+    }
+
+    constructor(log, scheduler, platformAccessory) {
+        this.name = NAME;
+        this.log = log;
+        this.scheduler = scheduler;
+        this.platformAccessory = platformAccessory;
+        this.switchService = this.platformAccessory.getService(Service.Switch) || this.platformAccessory.addService(Service.Switch, this.name);
+
+        this.log.debug("Initializing characteristics for", this.name);
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name)
+            .setCharacteristic(Characteristic.Manufacturer, 'ADT')
+            .setCharacteristic(Characteristic.SerialNumber, 'See ADT Smart Security app');
+
+        this.switchService
+            .getCharacteristic(Characteristic.On)
+            .on('get', this.getPaused.bind(this))
+            .on('set', this.setPaused.bind(this));
+
+        if (this.scheduler) {
+            this.scheduler.pause(!!this.platformAccessory.context.paused);
+        }
+    }
+
+    getAccessory() {
+        return this.platformAccessory;
+    }
+
+    getPaused(callback) {
+        callback(null, !!this.platformAccessory.context.paused);
+    }
+
+    setPaused(paused, callback) {
+        this.platformAccessory.context.paused = paused;
+
+        if (this.scheduler) {
+            this.scheduler.pause(paused);
+        }
+
+        callback();
+    }
+
+    updateCharacteristics() {
+        // The schedule only changes from HomeKit
+    }
+}
+
+module.exports = {
+    SchedulePauseSwitch
+};
@@ -0,0 +1,317 @@
+const alarmModes = require('./alarmModes');
+
+const DEFAULTS = {
+    rules: [],
+    holidays: [],
+    retries: 3,
+    retryDelay: 60
+};
+
+// Wake up at least this often, timers drift and setTimeout cannot wait for long
+const MAX_SLEEP = 60 * 60 * 1000;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'dayOfMonth', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES}
+];
+
+/**
+ * Parses one field of a cron expression: *, numbers, ranges (1-5), lists
+ * (1,3,5) and steps (*\/15, 0-30/10). Returns the sorted values it allows.
+ */
+const parseField = function (text, field) {
+    let values = [];
+    let valueOf = token => {
+        let index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        let value = index > -1 ? index : Number(token);
+
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error('Invalid ' + field.name + ' ' + token);
+        }
+
+        return value;
+    };
+
+    text.split(',').forEach(part => {
+        let [range, step] = part.split('/');
+        let [from, to] = range === '*' ? [field.min, field.max] : range.split('-').map(valueOf);
+
+        to = to === undefined ? (step ? field.max : from) : to;
+        step = step === undefined ? 1 : Number(step);
+
+        if (!Number.isInteger(step) || step < 1 || from > to) {
+            throw new Error('Invalid ' + field.name + ' ' + part);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.push(value);
+        }
+    });
+
+    return values
+        .map(value => field.name === 'dayOfWeek' && value === 7 ? 0 : value)
+        .filter((value, index, all) => all.indexOf(value) === index)
+        .sort((a, b) => a - b);
+};
+
+const parseCron = function (expression) {
+    let parts = String(expression || '').trim().split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Expected 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    let cron = {};
+
+    FIELDS.forEach((field, index) => {
+        cron[field.name] = parseField(parts[index], field);
+        cron[field.name + 'Restricted'] = parts[index] !== '*';
+    });
+
+    return cron;
+};
+
+const localDate = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+
+/**
+ * Arms and disarms the system on a schedule. Rules use cron expressions in
+ * local time and go through Adt.setState() like any other request, so
+ * disarming is subject to the disarm safeguards. A rule is retried retryDelay
+ * seconds after the panel refuses it or Adt gives up waiting for the panel to
+ * confirm it, for example while the system is not ready. No rule runs on the
+ * listed holidays or while the schedule is paused.
+ */
+class Scheduler {
+    constructor(adt, options, log, now = () => new Date()) {
+        this.adt = adt;
+        this.log = log;
+        this.options = Object.assign({}, DEFAULTS, options);
+        this.now = now;
+        this.paused = false;
+        this.onState = this.stateChanged.bind(this);
+        this.onStateFailed = this.stateFailed.bind(this);
+
+        this.rules = this.options.rules
+            .map((rule, index) => {
+                try {
+                    if (alarmModes.stateOf(rule.mode) === undefined) {
+                        throw new Error('Unknown mode ' + rule.mode + '. Use one of ' + Object.keys(alarmModes.MODES).join(', '));
+                    }
+
+                    return Object.assign({}, rule, {index: index, status: alarmModes.stateOf(rule.mode), cron: parseCron(rule.cron)});
+                } catch (error) {
+                    this.log.warn('Ignoring schedule rule %s %s. %s', index + 1, JSON.stringify(rule), error.message);
+                }
+            })
+            .filter(rule => rule);
+    }
+
+    start() {
+        this.log('Schedule started with %s rules', this.rules.length);
+        this.adt
+            .on('state', this.onState)
+            .on('stateFailed', this.onStateFailed);
+        this.schedule();
+
+        return this;
+    }
+
+    stop() {
+        this.adt
+            .removeListener('state', this.onState)
+            .removeListener('stateFailed', this.onStateFailed);
+        clearTimeout(this.timer);
+        clearTimeout(this.retryTimer);
+        this.timer = undefined;
+        this.retryTimer = undefined;
+        this.running = undefined;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    pause(paused) {
+        if (this.paused === paused) {
+            return;
+        }
+
+        this.paused = paused;
+
+        if (paused) {
+            clearTimeout(this.retryTimer);
+            this.running = undefined;
+            this.log('Schedule paused');
+        } else {
+            this.log('Schedule resumed');
+            this.reported = undefined;
+            this.reportNextAction();
+        }
+    }
+
+    isHoliday(date) {
+        return this.options.holidays.indexOf(localDate(date)) > -1;
+    }
+
+    /**
+     * The first time after the given one a rule runs, skipping holidays.
+     */
+    nextRunOf(rule, after) {
+        let cron = rule.cron;
+        let day = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+
+        for (let days = 0; days <= 366 * 4; days++, day.setDate(day.getDate() + 1)) {
+            let dayOfMonth = cron.dayOfMonth.indexOf(day.getDate()) > -1;
+            let dayOfWeek = cron.dayOfWeek.indexOf(day.getDay()) > -1;
+            // Like cron, a day matches either field when both are restricted
+            let dayMatches = cron.dayOfMonthRestricted && cron.dayOfWeekRestricted ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+
+            if (!dayMatches || cron.month.indexOf(day.getMonth() + 1) === -1 || this.isHoliday(day)) {
+                continue;
+            }
+
+            for (let hour of cron.hour) {
+                for (let minute of cron.minute) {
+                    let run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+
+                    if (run > after) {
+                        return run;
+                    }
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * The next rule to run and when, undefined when no rule will run again.
+     */
+    nextAction(after = this.now()) {
+        return this.rules
+            .map(rule => ({rule: rule, at: this.nextRunOf(rule, after)}))
+            .filter(action => action.at)
+            .sort((a, b) => a.at - b.at || a.rule.index - b.rule.index)[0];
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+
+        let next = this.nextAction();
+
+        this.pending = next;
+        this.reportNextAction();
+
+        if (!next) {
+            return;
+        }
+
+        this.timer = setTimeout(this.tick.bind(this), Math.max(0, Math.min(next.at - this.now(), MAX_SLEEP)));
+    }
+
+    tick() {
+        let next = this.pending;
+
+        if (next && this.now() >= next.at) {
+            this.run(next.rule);
+        }
+
+        this.schedule();
+    }
+
+    reportNextAction() {
+        let next = this.pending;
+        let description = next ? next.rule.mode + ' at ' + next.at.toLocaleString() : undefined;
+
+        if (description === this.reported) {
+            return;
+        }
+
+        this.reported = description;
+
+        if (next) {
+            this.log('Next scheduled action: %s', description);
+        } else {
+            this.log('No scheduled actions left');
+        }
+    }
+
+    run(rule, attempt = 1) {
+        clearTimeout(this.retryTimer);
+        this.running = undefined;
+
+        if (this.paused) {
+            this.log('Schedule paused, skipping %s', rule.mode);
+            return;
+        }
+
+        let state = this.adt.getState();
+        let current = state && state.alarm ? state.alarm.armingState : undefined;
+
+        if (rule.unlessArmed && current !== undefined && current !== 3) {
+            this.log('Skipping scheduled %s, the system is already armed', rule.mode);
+            return;
+        }
+
+        if (current === rule.status) {
+            this.log.debug('Scheduled %s already active', rule.mode);
+            return;
+        }
+
+        this.log('Running scheduled %s', rule.mode);
+        this.running = {rule: rule, attempt: attempt};
+
+        let error = this.adt.setState(rule.status, undefined, 'schedule');
+
+        if (error) {
+            this.log.warn('Scheduled %s failed. %s', rule.mode, error.message);
+            this.retry();
+        }
+    }
+
+    stateChanged(state) {
+        if (this.running && state.alarm && state.alarm.armingState === this.running.rule.status) {
+            this.running = undefined;
+        }
+    }
+
+    stateFailed(failure) {
+        if (this.running && !failure.partition && failure.status === this.running.rule.status) {
+            this.retry();
+        }
+    }
+
+    /**
+     * Runs the rule that failed again after retryDelay, unless it ran out of
+     * retries. Only called once the outcome is known, a slow confirmation is
+     * not a failure.
+     */
+    retry() {
+        let running = this.running;
+
+        if (!running) {
+            return;
+        }
+
+        this.running = undefined;
+
+        if (running.attempt > this.options.retries) {
+            this.log.error('Gave up on scheduled %s after %s attempts', running.rule.mode, running.attempt);
+            return;
+        }
+
+        this.log.warn('Scheduled %s not active yet. Retrying (%s of %s)', running.rule.mode, running.attempt, this.options.retries);
+        this.retryTimer = setTimeout(() => this.run(running.rule, running.attempt + 1), this.options.retryDelay * 1000);
+    }
+}
+
+module.exports = {
+    Scheduler
+};
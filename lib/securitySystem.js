@@ -1,4 +1,6 @@
-let Characteristic, Service;
+const DisarmRefusedError = require('./disarmGuard').DisarmRefusedError;
+
+let Characteristic, Service, HAPServer;
 
 class SecuritySystem {
     static from(cachedAccessory, adt, log, hap) {
@@ -6,17 +8,26 @@ class SecuritySystem {
 
         Characteristic = hap.Characteristic;
         Service = hap.Service;
+        HAPServer = hap.HAPServer;
 
         return new SecuritySystem(cachedAccessory.displayName, log, adt, cachedAccessory);
     }
 
-    static with(name, adt, log, hap, platformAccessory) {
+    /**
+     * Builds the security system of the main partition, or of the given one
+     * on installations with several. Each partition gets its own accessory.
+     */
+    static with(name, adt, log, hap, platformAccessory, partition) {
         log.debug("Building new security system with name=%s", name);
 
         Characteristic = hap.Characteristic;
         Service = hap.Service;
+        HAPServer = hap.HAPServer;
+
+        let accessory = new platformAccessory(name, hap.uuid.generate('system:' + adt.getAccountId() + (partition ? ':partition:' + partition : '')), hap.Accessory.Categories.SECURITY_SYSTEM);
+        accessory.context.partition = partition;
 
-        return new SecuritySystem(name, log, adt, new platformAccessory(name, hap.uuid.generate(name), hap.Accessory.Categories.SECURITY_SYSTEM));
+        return new SecuritySystem(name, log, adt, accessory);
     }
 
     constructor(name, log, adt, platformAccessory) {
@@ -24,8 +35,13 @@ class SecuritySystem {
         this.log = log;
         this.adt = adt;
         this.platformAccessory = platformAccessory;
+        this.partition = platformAccessory.context.partition;
         this.securityService = this.platformAccessory.getService(Service.SecuritySystem) || this.platformAccessory.addService(Service.SecuritySystem, this.name);
-        this.batteryService = this.platformAccessory.getService(Service.BatteryService) || this.platformAccessory.addService(Service.BatteryService, this.name);
+
+        // The panel battery belongs to the main partition
+        if (!this.partition) {
+            this.batteryService = this.platformAccessory.getService(Service.BatteryService) || this.platformAccessory.addService(Service.BatteryService, this.name);
+        }
 
         this.log.debug("Initializing characteristics for", this.name);
 
@@ -37,13 +53,17 @@ class SecuritySystem {
         this.securityService
             .getCharacteristic(Characteristic.SecuritySystemCurrentState)
             .on('get', this.getCurrentState.bind(this))
-            .setProps({validValues: [0, 1, 3, 4]});
+            .setProps({validValues: this.isNightModeSupported() ? [0, 1, 2, 3, 4] : [0, 1, 3, 4]});
 
         this.securityService
             .getCharacteristic(Characteristic.SecuritySystemTargetState)
             .on('set', this.setTargetState.bind(this))
             .on('get', this.getTargetState.bind(this))
-            .setProps({validValues: [0, 1, 3]});
+            .setProps({validValues: this.isNightModeSupported() ? [0, 1, 2, 3] : [0, 1, 3]});
+
+        if (!this.batteryService) {
+            return;
+        }
 
         this.batteryService
             .getCharacteristic(Characteristic.BatteryLevel)
@@ -54,10 +74,23 @@ class SecuritySystem {
             .on('get', this.getLowBatteryStatus.bind(this));
     }
 
+    isNightModeSupported() {
+        return !this.partition && this.adt.isNightModeSupported();
+    }
+
     getAccessory() {
         return this.platformAccessory;
     }
 
+    rename(name) {
+        this.log("Renaming security system %s to %s", this.name, name);
+        this.name = name;
+
+        this.platformAccessory.getService(Service.AccessoryInformation)
+            .setCharacteristic(Characteristic.Name, this.name);
+        this.securityService.setCharacteristic(Characteristic.Name, this.name);
+    }
+
     getBatteryLevel(callback) {
         this.log('Battery level requested');
         let state = this.adt.getState();
@@ -72,25 +105,48 @@ class SecuritySystem {
 
     getCurrentState(callback) {
         this.log('Current state requested');
-        let state = this.adt.getState();
-        callback(null, state && state.alarm ? state.alarm.armingState : state);
+        let alarm = this.adt.alarmOf(this.adt.getState(), this.partition);
+        callback(null, alarm ? alarm.armingState : undefined);
     }
 
     getTargetState(callback) {
         this.log('Target state requested');
-        let state = this.adt.getState();
-        callback(null, state && state.alarm ? state.alarm.targetState : state);
+        let alarm = this.adt.alarmOf(this.adt.getState(), this.partition);
+        callback(null, alarm ? alarm.targetState : undefined);
     }
 
     setTargetState(status, callback) {
         this.log('Received target status', status);
-        callback(this.adt.setState(status));
+
+        let error = this.adt.setState(status, this.partition, 'HomeKit');
+
+        // Tells the Home app the request was refused rather than the system being unreachable
+        if (error instanceof DisarmRefusedError) {
+            error = new Error(HAPServer.Status.INSUFFICIENT_PRIVILEGES);
+        }
+
+        callback(error);
+    }
+
+    updateCircuitState(circuitState) {
+        let alarm = this.adt.alarmOf(this.adt.getState(), this.partition);
+        let faultStatus = circuitState === 'open' ? Characteristic.StatusFault.GENERAL_FAULT : (alarm && alarm.faultStatus) || Characteristic.StatusFault.NO_FAULT;
+
+        this.log.debug('Updating fault status to %s, circuit %s', faultStatus, circuitState);
+
+        this.securityService
+            .getCharacteristic(Characteristic.StatusFault)
+            .updateValue(faultStatus);
     }
 
     updateCharacteristics(newState) {
-        let alarmStatus = newState.alarm;
+        let alarmStatus = this.adt.alarmOf(newState, this.partition);
         this.log.debug('Updating alarm characteristics to', JSON.stringify(alarmStatus));
 
+        if (!alarmStatus) {
+            return;
+        }
+
         this.securityService
             .getCharacteristic(Characteristic.SecuritySystemCurrentState)
             .updateValue(alarmStatus.armingState);
@@ -99,13 +155,16 @@ class SecuritySystem {
             .updateValue(alarmStatus.targetState);
         this.securityService
             .getCharacteristic(Characteristic.StatusFault)
-            .updateValue(alarmStatus.faultStatus);
-        this.batteryService
-            .getCharacteristic(Characteristic.BatteryLevel)
-            .updateValue(alarmStatus.batteryLevel);
-        this.batteryService
-            .getCharacteristic(Characteristic.StatusLowBattery)
-            .updateValue(alarmStatus.lowBatteryStatus);
+            .updateValue(alarmStatus.faultStatus || Characteristic.StatusFault.NO_FAULT);
+
+        if (this.batteryService && alarmStatus.batteryLevel !== undefined) {
+            this.batteryService
+                .getCharacteristic(Characteristic.BatteryLevel)
+                .updateValue(alarmStatus.batteryLevel);
+            this.batteryService
+                .getCharacteristic(Characteristic.StatusLowBattery)
+                .updateValue(alarmStatus.lowBatteryStatus);
+        }
     }
 }
 
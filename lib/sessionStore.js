@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class SessionStore {
+    constructor(storagePath, key, log) {
+        this.log = log;
+        this.file = path.join(storagePath, 'adt-session-' + crypto.createHash('sha1').update(key).digest('hex').substring(0, 12) + '.json');
+        this.lastSaved;
+    }
+
+    async load() {
+        try {
+            let content = await fs.promises.readFile(this.file, 'utf8');
+
+            this.lastSaved = content;
+
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log.warn('Could not read saved session', error.message);
+            }
+
+            return undefined;
+        }
+    }
+
+    async save(session) {
+        let content = JSON.stringify(session);
+
+        if (content === this.lastSaved) {
+            return;
+        }
+
+        try {
+            await fs.promises.writeFile(this.file, content, {mode: 0o600});
+            this.lastSaved = content;
+
+            this.log.debug('Session saved to', this.file);
+        } catch (error) {
+            this.log.warn('Could not save session', error.message);
+        }
+    }
+
+    async clear() {
+        this.lastSaved = undefined;
+
+        await fs.promises.unlink(this.file)
+            .catch(() => undefined);
+    }
+}
+
+module.exports = {
+    SessionStore
+};
@@ -0,0 +1,39 @@
+const TYPES = ['contact', 'door', 'window', 'garageDoor'];
+
+/**
+ * Per zone settings from the `sensors` section of the configuration, keyed by
+ * the zone name shown in ADT or by its zone id:
+ *
+ *   type       contact (default), door, window or garageDoor
+ *   name       name shown in HomeKit instead of the ADT name
+ *   group      zones with the same group share one accessory
+ *   exclude    true to leave the zone out of HomeKit
+ */
+class ZoneSettings {
+    constructor(sensors, log) {
+        this.sensors = sensors || {};
+
+        Object.keys(this.sensors)
+            .filter(name => this.sensors[name].type !== undefined && TYPES.indexOf(this.sensors[name].type) === -1)
+            .forEach(name => log.warn('Unknown type %s for sensor %s. Use one of %s', this.sensors[name].type, name, TYPES.join(', ')));
+    }
+
+    for(sensorName, zoneId) {
+        let settings = this.sensors[sensorName] || (zoneId && this.sensors[zoneId]) || {};
+
+        return {
+            name: settings.name || sensorName,
+            type: TYPES.indexOf(settings.type) > -1 ? settings.type : 'contact',
+            group: settings.group || undefined,
+            exclude: settings.exclude === true
+        };
+    }
+
+    isExcluded(sensorName, zoneId) {
+        return this.for(sensorName, zoneId).exclude;
+    }
+}
+
+module.exports = {
+    ZoneSettings
+};
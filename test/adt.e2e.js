@@ -0,0 +1,602 @@
+const assert = require('assert');
+const events = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+const Adt = require('../lib/adt').Adt;
+const {FakePortal, HOME_ACTION, AWAY_ACTION, SNAPSHOT, EXISTING_IMAGE} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('Adt against the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, adt, log;
+
+    const connect = async (config = {}, storagePath) => {
+        adt = new Adt(Object.assign({
+            name: 'ADT',
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1
+        }, config), log, storagePath);
+
+        return adt;
+    };
+
+    beforeEach(async () => {
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addContactSensor('Ventana dormitorio')
+            .addCamera('1234', 'Living');
+
+        await portal.start();
+    });
+
+    afterEach(async () => {
+        if (adt) adt.close();
+        adt = undefined;
+        await portal.stop();
+    });
+
+    it('logs in and parses the dashboard', async () => {
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(portal.logins, 1);
+        assert.deepStrictEqual(state.alarm, {
+            armingState: 3,
+            armedState: 3,
+            targetState: 3,
+            triggered: false,
+            triggeredZone: undefined,
+            lowBatteryStatus: 0,
+            batteryLevel: 100
+        });
+        assert.deepStrictEqual(state.contactSensors, [
+            {id: '1', name: 'Puerta principal', status: true, bypassed: false, lowBattery: false, tampered: false, offline: false},
+            {id: '2', name: 'Ventana dormitorio', status: true, bypassed: false, lowBattery: false, tampered: false, offline: false}
+        ]);
+        assert.deepStrictEqual(state.motionSensors, []);
+        assert.deepStrictEqual(state.cameras, [{id: '1234', name: 'Living'}]);
+    });
+
+    it('reports low battery', async () => {
+        portal.batteryLevel = 'lev1';
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(state.alarm.batteryLevel, 10);
+        assert.strictEqual(state.alarm.lowBatteryStatus, 1);
+    });
+
+    it('warns once about dashboard fields it cannot parse', async () => {
+        portal.batteryLevel = 'unknown';
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(state.alarm.batteryLevel, undefined);
+        assert.deepStrictEqual(state.unparsedFields, ['batteryLevel']);
+
+        await adt.getStatusFromDevice();
+
+        assert.strictEqual(log.messages('warn').filter(message => message.includes('Could not parse batteryLevel')).length, 1);
+    });
+
+    it('fails initialization with wrong credentials', async () => {
+        let initialized = false;
+        let sessionFailures = [];
+
+        (await connect({password: 'wrong', recovery: {initialDelay: 0.05}}))
+            .on('init', () => initialized = true)
+            .on('sessionFailed', failure => sessionFailures.push(failure));
+
+        await waitFor(() => log.messages('error').some(message => message.startsWith('Initialization failed')));
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        assert.strictEqual(initialized, false);
+        assert.strictEqual(portal.logins, 0);
+        assert.strictEqual(portal.actionsFor('/selfcare/j_spring_security_check').length, 1);
+        assert.ok(log.messages('error').some(message => message.includes('Login failed')));
+        assert.ok(!log.messages('warn').some(message => message.startsWith('Retrying initialization in')));
+        assert.deepStrictEqual(sessionFailures, [{reason: 'Login failed. Please check supplied credentials'}]);
+    });
+
+    it('retries initialization until the portal answers', async () => {
+        portal.outage = true;
+
+        await connect({recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 2}, http: {retries: 0}});
+
+        await waitFor(() => adt.getCircuitState() === 'open');
+
+        portal.outage = false;
+
+        let [state] = await events.once(adt, 'init');
+
+        assert.strictEqual(state.alarm.armingState, 3);
+        assert.strictEqual(adt.getCircuitState(), 'closed');
+        assert.ok(log.messages('warn').some(message => message.startsWith('Retrying initialization in')));
+    });
+
+    it('never logs the password, session cookies or CSRF tokens', async () => {
+        portal.password = 'S3cr3t-Passw0rd';
+
+        await events.once(await connect({password: 'S3cr3t-Passw0rd'}), 'init');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        let session = Object.values(portal.sessions)[0];
+        let leaked = log.messages().filter(message => [portal.password, session.id, session.csrf].some(secret => message.includes(secret)));
+
+        assert.ok(log.messages('debug').includes('Obtained login cookie ***'));
+        assert.deepStrictEqual(leaked, []);
+    });
+
+    it('arms and disarms through the JSF actions', async () => {
+        await events.once(await connect(), 'init');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => portal.armingState === 'right');
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        assert.strictEqual(adt.setState(0), null);
+        await waitFor(() => portal.armingState === 'center');
+
+        assert.strictEqual(adt.setState(3), null);
+        await waitFor(() => portal.armingState === 'left');
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 3);
+    });
+
+    it('does nothing when the requested state is already active', async () => {
+        await events.once(await connect(), 'init');
+
+        assert.strictEqual(adt.setState(3), null);
+        assert.strictEqual(portal.actionsFor('/selfcare/dashboard.xhtml').filter(request => request.method === 'POST').length, 0);
+    });
+
+    it('refuses to arm a not ready system', async () => {
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(state.alarm.armingState, 3);
+        assert.strictEqual(state.alarm.faultStatus, 1);
+
+        let error = adt.setState(1);
+
+        assert.ok(error instanceof Error);
+        assert.strictEqual(error.message, "Can't arm system. System is not ready.");
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('waits for the panel to confirm the new state through the exit delay', async () => {
+        portal.exitDelay = 2500;
+
+        await events.once(await connect(), 'init');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => log.messages().some(message => message.includes('Waiting for confirmation')));
+
+        assert.strictEqual(adt.getState().alarm.armingState, 3);
+        assert.strictEqual(adt.getState().alarm.targetState, 1);
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        assert.strictEqual(adt.getState().alarm.targetState, 1);
+        assert.deepStrictEqual(log.messages('error'), []);
+    });
+
+    it('reverts the target state when the panel does not confirm in time', async () => {
+        portal.exitDelay = 10000;
+
+        await events.once(await connect({armingTimeout: 2}), 'init');
+
+        let failed = events.once(adt, 'stateFailed');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => log.messages('error').some(message => message.includes('Not confirmed by the panel after 2 seconds')));
+        await waitFor(() => adt.getState() && adt.getState().alarm.targetState === 3);
+
+        assert.deepStrictEqual(await failed, [{status: 1, partition: undefined, reason: 'Not confirmed by the panel after 2 seconds.'}]);
+    });
+
+    it('reverts the target state when the panel refuses to arm', async () => {
+        await events.once(await connect(), 'init');
+
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => log.messages('error').some(message => message.includes('System is not ready')));
+
+        assert.strictEqual(portal.armingState, 'left');
+        assert.strictEqual(adt.getState().alarm.targetState, 3);
+    });
+
+    it('reports and arms each partition on its own', async () => {
+        portal.addPartition('Garaje');
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.deepStrictEqual(state.partitions, [
+            {id: '1', name: 'Casa', armingState: 3, armedState: 3, faultStatus: undefined, triggered: false, targetState: 3},
+            {id: '2', name: 'Garaje', armingState: 3, armedState: 3, faultStatus: undefined, triggered: false, targetState: 3}
+        ]);
+
+        assert.strictEqual(adt.setState(1, '2'), null);
+        await waitFor(() => portal.partition('Garaje').armingState === 'right');
+        await waitFor(() => adt.getState() && adt.getState().partitions[1].armingState === 1);
+
+        assert.strictEqual(portal.armingState, 'left');
+        assert.strictEqual(adt.getState().alarm.armingState, 3);
+        assert.ok(log.messages().some(message => message.includes('Status of partition Garaje set to 1')));
+
+        assert.strictEqual(adt.setState(0, '1'), null);
+        await waitFor(() => portal.armingState === 'center');
+
+        assert.strictEqual(adt.setState(3, '2'), null);
+        await waitFor(() => adt.getState() && adt.getState().partitions[1].armingState === 3);
+        assert.strictEqual(portal.armingState, 'center');
+    });
+
+    it('refuses to arm a not ready partition or in modes partitions do not offer', async () => {
+        portal.addPartition('Garaje');
+        portal.partition('Garaje').notReady = true;
+
+        let [state] = await events.once(await connect({nightMode: {action: 'home'}}), 'init');
+
+        assert.strictEqual(state.partitions[1].faultStatus, 1);
+        assert.strictEqual(state.alarm.faultStatus, undefined);
+        assert.strictEqual(adt.setState(1, '2').message, "Can't arm partition Garaje. Partition is not ready.");
+        assert.strictEqual(adt.setState(1, '7').message, 'Unknown partition: 7');
+
+        portal.partition('Garaje').notReady = false;
+        await waitFor(() => adt.getState() && adt.getState().partitions[1].faultStatus === undefined);
+
+        assert.strictEqual(adt.setState(2, '2'), null);
+        await waitFor(() => log.messages('error').some(message => message.includes('Could not set status of partition Garaje to 2. Mode not supported')));
+
+        assert.strictEqual(adt.getState().partitions[1].targetState, 3);
+        assert.strictEqual(portal.partition('Garaje').armingState, 'left');
+    });
+
+    it('runs overlapping commands one at a time and drops superseded targets', async () => {
+        portal.actionDelay = 300;
+        portal.rotateViewState = true;
+
+        await events.once(await connect({cacheTTL: 10}), 'init');
+
+        assert.strictEqual(adt.setState(0), null);
+        assert.strictEqual(adt.setState(3), null);
+        assert.strictEqual(adt.setState(1), null);
+        let bypass = adt.setBypass('Ventana dormitorio', true);
+
+        await bypass;
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        let actions = portal.actionsFor('/selfcare/dashboard.xhtml')
+            .filter(request => request.method === 'POST')
+            .map(request => querystring.parse(request.body)['javax.faces.source']);
+
+        assert.deepStrictEqual(actions, [HOME_ACTION, AWAY_ACTION, 'selfCareForm:bypass_1']);
+        assert.strictEqual(portal.maxActionsInFlight, 1);
+        assert.ok(log.messages().some(message => message === 'Dropping set status to 3, superseded by set status to 1'));
+        assert.deepStrictEqual(log.messages('error'), []);
+    });
+
+    it('posts the ViewState handed back by each action', async () => {
+        portal.rotateViewState = true;
+
+        await events.once(await connect({nightMode: {action: 'home', sensorsToBypass: ['Puerta principal', 'Ventana dormitorio']}}), 'init');
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+
+        assert.ok(portal.contactSensors.every(sensor => sensor.bypassed));
+        assert.deepStrictEqual(log.messages('error'), []);
+    });
+
+    it('bypasses configured sensors when arming a not ready system', async () => {
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        await events.once(await connect({sensorsToBypass: ['Ventana dormitorio']}), 'init');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => portal.armingState === 'right');
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Puerta principal').bypassed, false);
+    });
+
+    it('bypasses and restores a single zone on demand', async () => {
+        await events.once(await connect(), 'init');
+
+        await adt.setBypass('Ventana dormitorio', true);
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+        assert.strictEqual(adt.getState().contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+
+        await adt.setBypass('Ventana dormitorio', true);
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+
+        await adt.setBypass('Ventana dormitorio', false);
+        assert.strictEqual(adt.getState().contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, false);
+
+        await assert.rejects(adt.setBypass('Garage', true), /cannot be bypassed/);
+    });
+
+    it('presses the emergency buttons shown on the dashboard', async () => {
+        portal.emergencyButtons = ['panic'];
+
+        await events.once(await connect(), 'init');
+
+        await adt.sendEmergency('panic');
+
+        assert.deepStrictEqual(portal.emergencies, ['panic']);
+        assert.ok(log.messages('warn').includes('Sending panic emergency to ADT'));
+
+        await assert.rejects(adt.sendEmergency('fire'), /Emergency button not found: fire/);
+        await assert.rejects(adt.sendEmergency('flood'), /Unknown emergency: flood/);
+        assert.deepStrictEqual(portal.emergencies, ['panic']);
+    });
+
+    it('arms night mode as home with the night sensors bypassed', async () => {
+        await events.once(await connect({nightMode: {action: 'home', sensorsToBypass: ['Ventana dormitorio']}}), 'init');
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => portal.armingState === 'center');
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+
+        assert.strictEqual(adt.setState(3), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 3);
+    });
+
+    it('removes the night bypasses to go from night to home or away', async () => {
+        await events.once(await connect({nightMode: {action: 'home', sensorsToBypass: ['Ventana dormitorio']}}), 'init');
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+
+        assert.strictEqual(adt.setState(0), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 0);
+
+        assert.strictEqual(portal.armingState, 'center');
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, false);
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, false);
+        assert.deepStrictEqual(log.messages('error'), []);
+    });
+
+    it('stays in night mode while a night sensor is open', async () => {
+        await events.once(await connect({nightMode: {action: 'home', sensorsToBypass: ['Ventana dormitorio']}}), 'init');
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+
+        portal.setSensorOpen('Ventana dormitorio', true);
+        await waitFor(() => adt.getState() && !adt.getState().contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').status);
+
+        assert.strictEqual(adt.setState(0), null);
+        await waitFor(() => log.messages('error').some(message => message.includes('Close Ventana dormitorio to leave night mode.')));
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Ventana dormitorio').bypassed, true);
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+    });
+
+    it('arms night mode through an extra activation button', async () => {
+        portal.nightButton = 'Noche';
+
+        await events.once(await connect({nightMode: {action: 'Noche'}}), 'init');
+
+        assert.strictEqual(adt.setState(2), null);
+        await waitFor(() => portal.armingState === 'night');
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 2);
+    });
+
+    it('reports home instead of night when the night sensors are not bypassed', async () => {
+        portal.armingState = 'center';
+
+        let [state] = await events.once(await connect({nightMode: {action: 'home', sensorsToBypass: ['Ventana dormitorio']}}), 'init');
+
+        assert.strictEqual(state.alarm.armingState, 0);
+    });
+
+    it('reports the alarm as triggered with the triggering zone', async () => {
+        portal.armingState = 'right';
+
+        await events.once(await connect(), 'init');
+
+        portal.trigger('Puerta principal');
+
+        let alarm = await waitFor(() => adt.getState() && adt.getState().alarm.triggered && adt.getState().alarm);
+
+        assert.strictEqual(alarm.armingState, 4);
+        assert.strictEqual(alarm.targetState, 1);
+        assert.strictEqual(alarm.triggeredZone, 'Puerta principal');
+        assert.ok(log.messages('warn').includes('Alarm triggered by Puerta principal'));
+
+        portal.acknowledge();
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+    });
+
+    it('clears the triggered alarm when disarmed', async () => {
+        portal.armingState = 'center';
+        portal.trigger('Ventana dormitorio');
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(state.alarm.armingState, 4);
+        assert.strictEqual(adt.setState(3), null);
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 3 && !adt.getState().alarm.triggered);
+        assert.ok(log.messages('info').includes('Alarm cleared'));
+    });
+
+    it('reports which motion detector tripped while armed', async () => {
+        portal.addMotionSensor('PIR Living');
+        portal.armingState = 'right';
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.deepStrictEqual(state.motionSensors, [{id: '3', name: 'PIR Living', motionDetected: false}]);
+
+        portal.setMotion('PIR Living', true);
+
+        let [motion] = await events.once(adt, 'motion');
+
+        assert.deepStrictEqual(motion, {name: 'PIR Living', armed: true});
+        assert.ok(log.messages('warn').includes('Motion detected by PIR Living while armed'));
+        await waitFor(() => adt.getState() && adt.getState().motionSensors[0].motionDetected);
+    });
+
+    it('reports a motion detector as the triggering zone', async () => {
+        portal.addMotionSensor('PIR Living');
+        portal.armingState = 'right';
+        portal.trigger('PIR Living');
+
+        let [state] = await events.once(await connect(), 'init');
+
+        assert.strictEqual(state.alarm.triggeredZone, 'PIR Living');
+    });
+
+    it('emits refreshed state when sensors change', async () => {
+        await events.once(await connect(), 'init');
+
+        portal.setSensorOpen('Puerta principal', true);
+
+        await waitFor(() => {
+            let state = adt.getState();
+            return state && state.contactSensors.find(sensor => sensor.name === 'Puerta principal').status === false;
+        });
+    });
+
+    it('logs in again after the session expires', async () => {
+        await events.once(await connect(), 'init');
+
+        portal.expireSessions();
+
+        await waitFor(() => portal.logins === 2);
+        await waitFor(() => adt.getState() !== undefined);
+
+        assert.ok(log.messages('warn').includes('Session rejected by portal. Logging in again'));
+        assert.ok(!log.messages('error').some(message => message.startsWith('Failed refreshing status')));
+    });
+
+    it('backs off and opens the circuit while the portal is unreachable', async () => {
+        await events.once(await connect({recovery: {initialDelay: 0.05, multiplier: 2, maxDelay: 0.2, failureThreshold: 3}, http: {retries: 0}}), 'init');
+
+        let circuitStates = [];
+        adt.on('circuit', circuitState => circuitStates.push(circuitState));
+
+        portal.outage = true;
+
+        await waitFor(() => adt.getCircuitState() === 'open');
+        await waitFor(() => log.messages('warn').filter(message => message.startsWith('Retrying recovery in')).length >= 5);
+
+        let delays = log.messages('warn')
+            .filter(message => message.startsWith('Retrying recovery in'))
+            .map(message => parseFloat(message.split(' ')[3]));
+
+        assert.ok(delays.every(delay => delay <= 0.2));
+        assert.ok(log.messages('error').includes('ADT portal unreachable after 3 attempts. Circuit open'));
+
+        portal.outage = false;
+
+        await waitFor(() => adt.getCircuitState() === 'closed');
+        await waitFor(() => adt.getState() !== undefined);
+
+        assert.deepStrictEqual(circuitStates, ['open', 'closed']);
+        assert.ok(log.messages('info').some(message => message.endsWith('failed attempts. Circuit closed')));
+    });
+
+    describe('with a storage path', () => {
+        let storagePath;
+
+        const sessionFiles = () => fs.readdirSync(storagePath).filter(file => file.startsWith('adt-session-'));
+
+        beforeEach(() => storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'adt-session-')));
+
+        afterEach(() => fs.rmSync(storagePath, {recursive: true, force: true}));
+
+        it('persists the session privately', async () => {
+            await events.once(await connect({}, storagePath), 'init');
+
+            let files = sessionFiles();
+            let session = JSON.parse(fs.readFileSync(path.join(storagePath, files[0]), 'utf8'));
+
+            assert.strictEqual(files.length, 1);
+            assert.strictEqual(fs.statSync(path.join(storagePath, files[0])).mode & 0o777, 0o600);
+            assert.ok(session.cookies.some(cookie => cookie.startsWith('JSESSIONID=')));
+            assert.ok(session.csrf_token);
+            assert.ok(session.viewState);
+        });
+
+        it('reuses a saved session without logging in again', async () => {
+            await events.once(await connect({}, storagePath), 'init');
+            adt.close();
+
+            let [state] = await events.once(await connect({}, storagePath), 'init');
+
+            assert.strictEqual(portal.logins, 1);
+            assert.strictEqual(state.alarm.armingState, 3);
+            assert.ok(log.messages('info').includes('Restored saved session for user'));
+
+            assert.strictEqual(adt.setState(1), null);
+            await waitFor(() => portal.armingState === 'right');
+        });
+
+        it('logs in when the saved session is rejected', async () => {
+            await events.once(await connect({}, storagePath), 'init');
+            adt.close();
+
+            portal.expireSessions();
+
+            let [state] = await events.once(await connect({}, storagePath), 'init');
+
+            assert.strictEqual(portal.logins, 2);
+            assert.strictEqual(state.alarm.armingState, 3);
+            assert.ok(log.messages('warn').includes('Session rejected by portal. Logging in again'));
+        });
+
+        it('forgets a rejected session when logging in again fails', async () => {
+            await events.once(await connect({}, storagePath), 'init');
+            adt.close();
+
+            portal.expireSessions();
+
+            await connect({password: 'wrong'}, storagePath);
+            await waitFor(() => log.messages('error').some(message => message.startsWith('Initialization failed')));
+
+            assert.strictEqual(sessionFiles().length, 0);
+        });
+
+        it('does not persist the session when disabled', async () => {
+            await events.once(await connect({persistSession: false}, storagePath), 'init');
+
+            assert.strictEqual(sessionFiles().length, 0);
+        });
+    });
+
+    it('talks to the video controller', async () => {
+        await events.once(await connect(), 'init');
+
+        let feed = await adt.startFeed('1234');
+
+        assert.strictEqual(feed.session.streamHlsUrl, 'http://' + portal.domain + '/hls/1234.m3u8');
+        assert.deepStrictEqual(await adt.stopFeed('1234'), {});
+        assert.strictEqual(await adt.getImage('1234'), SNAPSHOT);
+        assert.strictEqual(await adt.getExistingImage('1234'), EXISTING_IMAGE);
+    });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const CommandQueue = require('../lib/commandQueue').CommandQueue;
+const {createLog} = require('./support/log');
+
+describe('Command queue', () => {
+    let log, queue;
+
+    const deferred = () => {
+        let resolve;
+        let promise = new Promise(done => resolve = done);
+
+        return {promise, resolve};
+    };
+
+    beforeEach(() => {
+        log = createLog();
+        queue = new CommandQueue(log);
+    });
+
+    it('runs one command at a time in order', async () => {
+        let running = 0;
+        let order = [];
+        let command = name => async () => {
+            running++;
+            assert.strictEqual(running, 1);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            order.push(name);
+            running--;
+            return name;
+        };
+
+        let results = await Promise.all([queue.push('a', 'a', command('a')), queue.push('b', 'b', command('b'))]);
+
+        assert.deepStrictEqual(order, ['a', 'b']);
+        assert.deepStrictEqual(results, ['a', 'b']);
+    });
+
+    it('drops a pending command superseded by a newer one with the same key', async () => {
+        let blocker = deferred();
+        let ran = [];
+
+        queue.push('state', 'first', () => blocker.promise);
+        let superseded = queue.push('state', 'second', async () => ran.push('second') && 'second');
+        let latest = queue.push('state', 'third', async () => ran.push('third') && 'third');
+
+        assert.ok(queue.has('state'));
+        assert.strictEqual(queue.describe(), 'running first, 1 pending');
+
+        blocker.resolve();
+
+        assert.strictEqual(await superseded, 'third');
+        assert.strictEqual(await latest, 'third');
+        assert.deepStrictEqual(ran, ['third']);
+        assert.ok(log.messages().includes('Dropping second, superseded by third'));
+    });
+
+    it('keeps running after a failed command', async () => {
+        await assert.rejects(queue.push('a', 'failing', async () => {
+            throw new Error('boom');
+        }), /boom/);
+
+        assert.strictEqual(await queue.push('a', 'working', async () => 'ok'), 'ok');
+        assert.strictEqual(queue.has('a'), false);
+    });
+
+    it('rejects pending commands when cleared', async () => {
+        let blocker = deferred();
+
+        let running = queue.push('a', 'running', () => blocker.promise);
+        let pending = queue.push('b', 'pending', async () => 'never');
+
+        queue.clear();
+        blocker.resolve('done');
+
+        assert.strictEqual(await running, 'done');
+        await assert.rejects(pending, /Command queue closed/);
+    });
+});
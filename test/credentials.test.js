@@ -0,0 +1,106 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const credentials = require('../lib/credentials');
+const {redact} = require('../lib/redactingLog');
+const {createLog} = require('./support/log');
+
+describe('Credentials', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'adt-credentials-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    const secretsFile = (content, mode) => {
+        let file = path.join(directory, 'secrets.json');
+
+        fs.writeFileSync(file, JSON.stringify(content), {mode: mode});
+        fs.chmodSync(file, mode);
+
+        return file;
+    };
+
+    it('reads plaintext credentials from the configuration by default', () => {
+        assert.deepStrictEqual(credentials.resolve({username: 'user', password: 'pass'}, {}), {username: 'user', password: 'pass'});
+    });
+
+    it('reads credentials from environment variables', () => {
+        let env = {ADT_USERNAME: 'env-user', ADT_PASSWORD: 'env-pass', HOME_PASSWORD: 'other-pass'};
+
+        assert.deepStrictEqual(credentials.resolve({credentials: {source: 'env'}}, env), {username: 'env-user', password: 'env-pass'});
+        assert.deepStrictEqual(credentials.resolve({username: 'user', credentials: {source: 'env', passwordVariable: 'HOME_PASSWORD'}}, env), {username: 'env-user', password: 'other-pass'});
+    });
+
+    it('reads credentials from a private secrets file', () => {
+        let file = secretsFile({username: 'file-user', password: 'file-pass'}, 0o600);
+
+        assert.deepStrictEqual(credentials.resolve({credentials: {source: 'file', file: file}}, {}), {username: 'file-user', password: 'file-pass'});
+    });
+
+    it('refuses a secrets file other users can read', function () {
+        if (process.platform === 'win32') {
+            this.skip();
+        }
+
+        let file = secretsFile({username: 'file-user', password: 'file-pass'}, 0o644);
+
+        assert.throws(() => credentials.resolve({credentials: {source: 'file', file: file}}, {}), /readable by other users. Run chmod 600/);
+    });
+
+    it('decrypts encrypted values with the secret key', () => {
+        let encrypted = credentials.encrypt('s3cret', 'passphrase');
+
+        assert.ok(encrypted.startsWith('enc:'));
+        assert.ok(!encrypted.includes('s3cret'));
+        assert.strictEqual(credentials.resolve({username: 'user', password: encrypted}, {ADT_SECRET_KEY: 'passphrase'}).password, 's3cret');
+    });
+
+    it('explains why an encrypted value cannot be used', () => {
+        let encrypted = credentials.encrypt('s3cret', 'passphrase');
+
+        assert.throws(() => credentials.resolve({username: 'user', password: encrypted}, {}), /Missing ADT_SECRET_KEY/);
+        assert.throws(() => credentials.resolve({username: 'user', password: encrypted}, {ADT_SECRET_KEY: 'wrong'}), /Could not decrypt/);
+    });
+
+    it('explains that a malformed encrypted value cannot be decrypted', () => {
+        assert.throws(() => credentials.resolve({username: 'user', password: 'enc:a:b:c'}, {ADT_SECRET_KEY: 'passphrase'}), /Could not decrypt credentials/);
+        assert.throws(() => credentials.resolve({username: 'user', password: 'enc:a:b'}, {ADT_SECRET_KEY: 'passphrase'}), /Malformed encrypted value/);
+    });
+
+    it('rejects unknown sources', () => {
+        assert.throws(() => credentials.resolve({credentials: {source: 'vault'}}, {}), /Unknown credentials source vault/);
+    });
+});
+
+describe('Redacting log', () => {
+    it('masks registered secrets, cookies and tokens', () => {
+        let lines = createLog();
+        let log = redact(lines);
+
+        log.addSecret('hunter22');
+        log.debug('Logging in with %s', 'hunter22');
+        log.warn('Cookie: JSESSIONID=abc123; BIGipServerTYCO_SELFCARE=4711.0000');
+        log.error('Posting _csrf=deadbeef&javax.faces.source=x');
+        log('Session', JSON.stringify({password: 'other', token: 'bearer-token'}));
+
+        assert.deepStrictEqual(lines.messages(), [
+            'Logging in with ***',
+            'Cookie: JSESSIONID=***; BIGipServerTYCO_SELFCARE=***',
+            'Posting _csrf=***&javax.faces.source=x',
+            'Session {"password":"***","token":"***"}'
+        ]);
+    });
+
+    it('shares secrets when wrapped twice', () => {
+        let lines = createLog();
+        let log = redact(lines);
+
+        assert.strictEqual(redact(log), log);
+    });
+});
@@ -0,0 +1,175 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const dashboardParser = require('../lib/dashboardParser');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('Dashboard parser', () => {
+    it('detects the login page', () => {
+        let dashboard = dashboardParser.parse(fixture('frontpage.html'));
+
+        assert.strictEqual(dashboard.loginPage, true);
+        assert.deepStrictEqual(dashboard.unparsed, []);
+    });
+
+    describe('v1 layout', () => {
+        it('parses a disarmed dashboard', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-disarmed.html'));
+
+            assert.strictEqual(dashboard.loginPage, false);
+            assert.deepStrictEqual(dashboard.alarm, {
+                armingState: 3,
+                notReady: false,
+                triggered: false,
+                triggeredZones: [],
+                batteryLevel: 100,
+                lowBatteryStatus: 0
+            });
+            assert.deepStrictEqual(dashboard.contactSensors, [
+                {id: undefined, name: 'Puerta principal', status: true, bypassed: false, lowBattery: false, tampered: false, offline: false},
+                {id: undefined, name: 'Ventana dormitorio', status: true, bypassed: false, lowBattery: false, tampered: false, offline: false}
+            ]);
+            assert.deepStrictEqual(dashboard.motionSensors, [{id: undefined, name: 'PIR Living', motionDetected: false}]);
+            assert.deepStrictEqual(dashboard.cameras, [{id: '1234', name: 'Living'}]);
+            assert.deepStrictEqual(dashboard.actions, {
+                viewState: '-2735436815196472338:4379474361563312520',
+                home: 'selfCareForm:j_idt92',
+                away: 'selfCareForm:j_idt94',
+                disarm: 'selfCareForm:j_idt90',
+                night: undefined,
+                panic: undefined,
+                medical: undefined,
+                fire: undefined
+            });
+            assert.deepStrictEqual(dashboard.bypasses, [
+                {name: 'Puerta principal', action: 'selfCareForm:j_idt210:0:j_idt215', bypassed: false},
+                {name: 'Ventana dormitorio', action: 'selfCareForm:j_idt210:1:j_idt215', bypassed: false}
+            ]);
+            assert.deepStrictEqual(dashboard.layouts, {activationButtons: 'v1', batteryLevel: 'v1', bypasses: 'v1'});
+            assert.deepStrictEqual(dashboard.unparsed, []);
+        });
+
+        it('parses a not ready dashboard with a bypassed zone', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-not-ready.html'));
+
+            assert.strictEqual(dashboard.alarm.armingState, 3);
+            assert.strictEqual(dashboard.alarm.notReady, true);
+            assert.strictEqual(dashboard.alarm.batteryLevel, 10);
+            assert.strictEqual(dashboard.alarm.lowBatteryStatus, 1);
+            assert.deepStrictEqual(dashboard.contactSensors, [
+                {id: undefined, name: 'Puerta principal', status: false, bypassed: false, lowBattery: false, tampered: false, offline: false},
+                {id: undefined, name: 'Ventana dormitorio', status: false, bypassed: true, lowBattery: false, tampered: false, offline: false}
+            ]);
+            assert.deepStrictEqual(dashboard.unparsed, []);
+        });
+
+        it('parses a triggered alarm (guessed markup)', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-triggered.html'));
+
+            assert.strictEqual(dashboard.alarm.armingState, 1);
+            assert.strictEqual(dashboard.alarm.triggered, true);
+            assert.deepStrictEqual(dashboard.alarm.triggeredZones, ['Puerta principal', 'PIR Living']);
+            assert.strictEqual(dashboard.alarm.batteryLevel, 50);
+            assert.deepStrictEqual(dashboard.motionSensors, [{id: undefined, name: 'PIR Living', motionDetected: true}]);
+        });
+
+        it('parses zone battery, tamper and supervision indicators (guessed markup)', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-zone-status.html'));
+
+            assert.deepStrictEqual(dashboard.contactSensors, [
+                {id: undefined, name: 'Puerta principal', status: true, bypassed: false, lowBattery: true, tampered: true, offline: false},
+                {id: undefined, name: 'Ventana dormitorio', status: true, bypassed: false, lowBattery: false, tampered: false, offline: true}
+            ]);
+        });
+
+        it('reads zone ids from sensor icons and device cards (guessed markup)', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-zone-ids.html'));
+
+            assert.deepStrictEqual(dashboard.contactSensors.map(sensor => [sensor.id, sensor.name]), [['3', 'Puerta principal'], ['4', 'Ventana dormitorio']]);
+            assert.deepStrictEqual(dashboard.motionSensors, [{id: '7', name: 'PIR Living', motionDetected: false}]);
+        });
+
+        it('reads each partition and takes the first as the alarm (guessed markup)', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v1-partitions.html'));
+
+            assert.strictEqual(dashboard.alarm.armingState, 1);
+            assert.strictEqual(dashboard.alarm.notReady, false);
+            assert.strictEqual(dashboard.actions.away, 'selfCareForm:partitions:0:j_idt94');
+            assert.deepStrictEqual(dashboard.partitions.map(partition => [partition.id, partition.name, partition.armingState, partition.notReady]), [
+                ['1', 'Casa', 1, false],
+                ['3', 'Garaje', 3, true]
+            ]);
+            assert.deepStrictEqual(dashboard.partitions[1].actions, {
+                home: 'selfCareForm:partitions:1:j_idt92',
+                away: 'selfCareForm:partitions:1:j_idt94',
+                disarm: 'selfCareForm:partitions:1:j_idt90',
+                night: undefined
+            });
+            assert.strictEqual(dashboard.layouts.activationButtons, 'partitions');
+        });
+
+        it('recognizes a configured night button', () => {
+            let html = fixture('dashboard-v1-disarmed.html')
+                .replace('<li class="left active">', '<li class="left">')
+                .replace('</ul>', '<li class="night active"><a id="selfCareForm:j_idt96" title="Noche" href="#">Noche</a></li></ul>');
+            let dashboard = dashboardParser.parse(html, {nightButton: 'Noche'});
+
+            assert.strictEqual(dashboard.alarm.armingState, 2);
+            assert.strictEqual(dashboard.actions.night, 'selfCareForm:j_idt96');
+        });
+        it('reads the emergency buttons when shown (guessed markup)', () => {
+            let html = fixture('dashboard-v1-disarmed.html')
+                .replace('<div id="j_idt135:batteryLevelPanel"', '<ul id="emergencyButtons">' +
+                    '<li class="panic"><a id="selfCareForm:j_idt100" title="Pánico" href="#">Pánico</a></li>' +
+                    '<li class="fire"><a id="selfCareForm:j_idt104" title="Incendio" href="#">Incendio</a></li>' +
+                    '</ul><div id="j_idt135:batteryLevelPanel"');
+            let dashboard = dashboardParser.parse(html);
+
+            assert.strictEqual(dashboard.actions.panic, 'selfCareForm:j_idt100');
+            assert.strictEqual(dashboard.actions.medical, undefined);
+            assert.strictEqual(dashboard.actions.fire, 'selfCareForm:j_idt104');
+            assert.strictEqual(dashboard.layouts.emergencyButtons, 'v1');
+            assert.deepStrictEqual(dashboard.unparsed, []);
+        });
+    });
+
+    describe('v2 layout (speculative, synthetic fixture)', () => {
+        it('parses namespaced ids and bypass links', () => {
+            let dashboard = dashboardParser.parse(fixture('dashboard-v2-home.html'));
+
+            assert.strictEqual(dashboard.alarm.armingState, 0);
+            assert.strictEqual(dashboard.alarm.batteryLevel, 50);
+            assert.deepStrictEqual(dashboard.actions, {
+                viewState: '8310257781420695123:-1558329436401887331',
+                home: 'selfCareForm:j_idt99',
+                away: 'selfCareForm:j_idt101',
+                disarm: 'selfCareForm:j_idt97',
+                night: undefined,
+                panic: undefined,
+                medical: undefined,
+                fire: undefined
+            });
+            assert.deepStrictEqual(dashboard.bypasses, [
+                {name: 'Puerta principal', action: 'selfCareForm:j_idt221:0:j_idt226', bypassed: false}
+            ]);
+            assert.deepStrictEqual(dashboard.layouts, {activationButtons: 'v2', batteryLevel: 'v2', bypasses: 'v2'});
+            assert.deepStrictEqual(dashboard.unparsed, []);
+        });
+    });
+
+    it('reports fields it cannot find instead of guessing', () => {
+        let dashboard = dashboardParser.parse(fixture('dashboard-unknown-battery.html'));
+
+        assert.strictEqual(dashboard.alarm.armingState, 3);
+        assert.strictEqual(dashboard.alarm.batteryLevel, undefined);
+        assert.strictEqual(dashboard.alarm.lowBatteryStatus, undefined);
+        assert.deepStrictEqual(dashboard.unparsed, ['batteryLevel']);
+    });
+
+    it('reports a page without activation buttons', () => {
+        let dashboard = dashboardParser.parse('<html><body><form id="selfCareForm"></form></body></html>');
+
+        assert.deepStrictEqual(dashboard.unparsed, ['armingState', 'batteryLevel', 'viewState', 'homeAction', 'awayAction', 'disarmAction']);
+    });
+});
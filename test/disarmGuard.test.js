@@ -0,0 +1,70 @@
+const assert = require('assert');
+const {DisarmGuard, DisarmRefusedError} = require('../lib/disarmGuard');
+const {createLog} = require('./support/log');
+
+describe('Disarm guard', () => {
+    let log, now;
+
+    const at = time => new Date('2026-03-14T' + time + ':00');
+    const guard = options => new DisarmGuard(options, log, () => now);
+
+    beforeEach(() => {
+        log = createLog();
+        now = at('12:00');
+    });
+
+    it('allows disarming without blocked hours or confirmation', () => {
+        assert.strictEqual(guard({}).check('HomeKit'), null);
+        assert.deepStrictEqual(log.messages(), ['Allowed disarm request from HomeKit']);
+    });
+
+    it('blocks disarming during the configured hours, also past midnight', () => {
+        let disarmGuard = guard({blockedHours: [{from: '09:00', to: '17:30'}, {from: '23:00', to: '06:00'}]});
+
+        let error = disarmGuard.check('HomeKit');
+
+        assert.ok(error instanceof DisarmRefusedError);
+        assert.strictEqual(error.message, 'Disarming is blocked between 09:00 and 17:30');
+        assert.ok(log.messages('warn').includes('Refused disarm request from HomeKit. Disarming is blocked between 09:00 and 17:30'));
+
+        now = at('17:30');
+        assert.strictEqual(disarmGuard.check('MQTT'), null);
+
+        now = at('23:15');
+        assert.ok(disarmGuard.check('MQTT') instanceof DisarmRefusedError);
+
+        now = at('05:59');
+        assert.ok(disarmGuard.check('MQTT') instanceof DisarmRefusedError);
+
+        now = at('06:00');
+        assert.strictEqual(disarmGuard.check('MQTT'), null);
+    });
+
+    it('ignores invalid blocked hours', () => {
+        let disarmGuard = guard({blockedHours: [{from: '9', to: '17:00'}, {from: '11:00'}]});
+
+        assert.strictEqual(disarmGuard.check('HomeKit'), null);
+        assert.strictEqual(log.messages('warn').filter(message => message.startsWith('Ignoring invalid blocked hours')).length, 2);
+    });
+
+    it('needs a confirmation within the window and uses it up', () => {
+        let disarmGuard = guard({confirmationSwitch: true, confirmationWindow: 30});
+
+        assert.strictEqual(disarmGuard.check('HomeKit').message, 'Disarming needs to be confirmed first');
+
+        disarmGuard.confirm();
+        now = new Date(now.getTime() + 20000);
+
+        assert.strictEqual(disarmGuard.isConfirmed(), true);
+        assert.strictEqual(disarmGuard.check('HomeKit'), null);
+        assert.strictEqual(disarmGuard.isConfirmed(), false);
+        assert.ok(disarmGuard.check('HomeKit') instanceof DisarmRefusedError);
+
+        disarmGuard.confirm();
+        now = new Date(now.getTime() + 31000);
+
+        assert.strictEqual(disarmGuard.isConfirmed(), false);
+        assert.ok(disarmGuard.check('REST API client 127.0.0.1') instanceof DisarmRefusedError);
+        assert.ok(log.messages('warn').some(message => message.startsWith('Refused disarm request from REST API client 127.0.0.1')));
+    });
+});
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const events = require('events');
+const http = require('http');
+const Adt = require('../lib/adt').Adt;
+const MetricsServer = require('../lib/metricsServer').MetricsServer;
+const metrics = require('../lib/metrics');
+const {FakePortal} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('Metrics against the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, adt, server, port, log;
+
+    const scrape = (token) => new Promise((resolve, reject) => {
+        http.get({
+            host: '127.0.0.1',
+            port: port,
+            path: '/metrics',
+            headers: token ? {'Authorization': 'Bearer ' + token} : {}
+        }, (res) => {
+            let body = '';
+
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => resolve({statusCode: res.statusCode, contentType: res.headers['content-type'], body: body}));
+        }).on('error', reject);
+    });
+
+    const connect = async function (config = {}) {
+        adt = new Adt(Object.assign({
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1,
+            armingTimeout: 5,
+            recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 1},
+            http: {retries: 0}
+        }, config), log);
+
+        return adt;
+    };
+
+    beforeEach(async () => {
+        metrics.registry.reset();
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addCamera('1234', 'Living');
+
+        await portal.start();
+
+        server = new MetricsServer({port: 0, token: 'scrape'}, log);
+        port = await server.start();
+    });
+
+    afterEach(async () => {
+        if (adt) {
+            adt.close();
+            adt = undefined;
+        }
+
+        await server.stop();
+        await portal.stop();
+    });
+
+    it('listens on the loopback interface by default', () => {
+        assert.strictEqual(server.server.address().address, '127.0.0.1');
+    });
+
+    it('counts logins and dashboard fetches', async () => {
+        await events.once(await connect(), 'init');
+
+        let response = await scrape('scrape');
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.contentType, 'text/plain; version=0.0.4; charset=utf-8');
+        assert.ok(response.body.includes('\nadt_logins_total 1\n'));
+        assert.ok(response.body.includes('\nadt_login_failures_total 0\n'));
+        assert.ok(response.body.includes('\nadt_dashboard_fetch_duration_seconds_count 1\n'));
+        assert.ok(response.body.includes('\nadt_dashboard_fetch_duration_seconds_bucket{le="+Inf"} 1\n'));
+    });
+
+    it('counts failed logins', async () => {
+        await connect({password: 'wrong'});
+        await waitFor(() => log.messages('error').some(message => message.startsWith('Initialization failed')));
+
+        assert.strictEqual(metrics.logins.get(), 1);
+        assert.strictEqual(metrics.loginFailures.get(), 1);
+    });
+
+    it('times dashboard fetches that fail', async () => {
+        await events.once(await connect(), 'init');
+
+        let fetches = () => Array.from(metrics.dashboardFetchDuration.series.values())[0].count;
+
+        assert.strictEqual(fetches(), 1);
+
+        portal.outage = true;
+        await waitFor(() => fetches() > 1);
+    });
+
+    it('counts arm and disarm requests by outcome', async () => {
+        await events.once(await connect(), 'init');
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => metrics.stateOutcomes.get({mode: 'away', outcome: 'confirmed'}) === 1);
+
+        assert.strictEqual(adt.setState(1), null);
+
+        portal.arm('left');
+        portal.setSensorOpen('Puerta principal', true);
+        await waitFor(() => adt.getState() && adt.getState().alarm.faultStatus === 1);
+
+        assert.ok(adt.setState(0) instanceof Error);
+
+        assert.strictEqual(metrics.stateCommands.get({mode: 'away'}), 2);
+        assert.strictEqual(metrics.stateCommands.get({mode: 'home'}), 1);
+        assert.strictEqual(metrics.stateOutcomes.get({mode: 'away', outcome: 'unchanged'}), 1);
+        assert.strictEqual(metrics.stateOutcomes.get({mode: 'home', outcome: 'not_ready'}), 1);
+
+        let body = (await scrape('scrape')).body;
+
+        assert.ok(body.includes('\nadt_state_command_outcomes_total{mode="away",outcome="confirmed"} 1\n'));
+    });
+
+    it('counts recovery attempts and snapshot fallbacks', async () => {
+        await events.once(await connect(), 'init');
+
+        portal.outage = true;
+        await waitFor(() => metrics.recoveryAttempts.get({outcome: 'failure'}) > 0);
+
+        portal.outage = false;
+        await waitFor(() => metrics.recoveryAttempts.get({outcome: 'success'}) === 1);
+
+        await adt.getExistingImage('1234');
+
+        assert.strictEqual(metrics.snapshotFallbacks.get(), 1);
+    });
+
+    it('rejects scrapes without the token', async () => {
+        let response = await scrape();
+
+        assert.strictEqual(response.statusCode, 401);
+        assert.deepStrictEqual(log.messages('warn'), ['Rejected unauthorized metrics request from 127.0.0.1']);
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const {Registry} = require('../lib/metrics');
+
+describe('Metrics', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new Registry();
+    });
+
+    it('renders counters in the Prometheus text format', () => {
+        let logins = registry.counter('adt_logins_total', 'Logins');
+        let commands = registry.counter('adt_state_commands_total', 'Commands');
+
+        logins.inc();
+        logins.inc();
+        commands.inc({mode: 'away', outcome: 'confirmed'});
+        commands.inc({mode: 'off', outcome: 'refused'}, 2);
+
+        assert.strictEqual(registry.render(), [
+            '# HELP adt_logins_total Logins',
+            '# TYPE adt_logins_total counter',
+            'adt_logins_total 2',
+            '# HELP adt_state_commands_total Commands',
+            '# TYPE adt_state_commands_total counter',
+            'adt_state_commands_total{mode="away",outcome="confirmed"} 1',
+            'adt_state_commands_total{mode="off",outcome="refused"} 2',
+            ''
+        ].join('\n'));
+        assert.strictEqual(commands.get({mode: 'off', outcome: 'refused'}), 2);
+        assert.strictEqual(commands.get({mode: 'home', outcome: 'refused'}), 0);
+    });
+
+    it('renders counters that never counted as zero', () => {
+        registry.counter('adt_snapshot_fallbacks_total', 'Fallbacks');
+
+        assert.ok(registry.render().endsWith('\nadt_snapshot_fallbacks_total 0\n'));
+    });
+
+    it('escapes label values', () => {
+        registry.counter('adt_dashboard_parse_failures_total', 'Failures').inc({field: 'say "hi"\\\n'});
+
+        assert.ok(registry.render().includes('adt_dashboard_parse_failures_total{field="say \\"hi\\"\\\\\\n"} 1'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        let duration = registry.histogram('adt_dashboard_fetch_duration_seconds', 'Fetch time', [0.5, 1, 5]);
+
+        duration.observe({}, 0.25);
+        duration.observe({}, 0.75);
+        duration.observe({}, 7);
+
+        assert.deepStrictEqual(registry.render().split('\n').slice(2), [
+            'adt_dashboard_fetch_duration_seconds_bucket{le="0.5"} 1',
+            'adt_dashboard_fetch_duration_seconds_bucket{le="1"} 2',
+            'adt_dashboard_fetch_duration_seconds_bucket{le="5"} 2',
+            'adt_dashboard_fetch_duration_seconds_bucket{le="+Inf"} 3',
+            'adt_dashboard_fetch_duration_seconds_sum 8',
+            'adt_dashboard_fetch_duration_seconds_count 3',
+            ''
+        ]);
+    });
+
+    it('times with a histogram', async () => {
+        let duration = registry.histogram('adt_dashboard_fetch_duration_seconds', 'Fetch time', [0.01, 10]);
+        let done = duration.startTimer();
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        done();
+
+        let series = Array.from(duration.series.values())[0];
+
+        assert.deepStrictEqual(series.counts, [0, 1]);
+        assert.ok(series.sum > 0.01 && series.sum < 10);
+    });
+});
@@ -0,0 +1,152 @@
+const assert = require('assert');
+const events = require('events');
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const Adt = require('../lib/adt').Adt;
+const MqttBridge = require('../lib/mqttBridge').MqttBridge;
+const {FakePortal} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('MQTT bridge against a local broker and the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, broker, server, adt, bridge, subscriber, log;
+    let retained, eventsReceived;
+
+    beforeEach(async () => {
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addContactSensor('Ventana dormitorio')
+            .addCamera('1234', 'Living');
+
+        await portal.start();
+
+        broker = aedes();
+        server = net.createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        let url = 'mqtt://127.0.0.1:' + server.address().port;
+
+        adt = new Adt({
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1,
+            recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 1},
+            http: {retries: 0}
+        }, log);
+
+        await events.once(adt, 'init');
+
+        bridge = new MqttBridge(adt, {url: url, topic: 'home/adt'}, log).start();
+
+        retained = {};
+        eventsReceived = [];
+        subscriber = mqtt.connect(url);
+        subscriber.on('message', (topic, message) => {
+            if (topic === 'home/adt/events') {
+                eventsReceived.push(JSON.parse(message.toString()));
+            } else {
+                retained[topic] = message.toString();
+            }
+        });
+
+        await events.once(subscriber, 'connect');
+        subscriber.subscribe('home/adt/#');
+    });
+
+    afterEach(async () => {
+        adt.close();
+        await bridge.stop();
+        await new Promise(resolve => subscriber.end(false, {}, resolve));
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+        await portal.stop();
+    });
+
+    it('mirrors the alarm and sensors to retained topics', async () => {
+        await waitFor(() => retained['home/adt/cameras']);
+
+        assert.strictEqual(retained['home/adt/online'], 'true');
+        assert.strictEqual(retained['home/adt/alarm/state'], 'off');
+        assert.strictEqual(retained['home/adt/alarm/target'], 'off');
+        assert.strictEqual(retained['home/adt/alarm/battery'], '100');
+        assert.strictEqual(retained['home/adt/alarm/battery/low'], 'false');
+        assert.strictEqual(retained['home/adt/alarm/fault'], 'false');
+        assert.strictEqual(retained['home/adt/sensors/puerta_principal/contact'], 'closed');
+        assert.deepStrictEqual(JSON.parse(retained['home/adt/cameras']), [{id: '1234', name: 'Living'}]);
+    });
+
+    it('publishes change events', async () => {
+        await waitFor(() => retained['home/adt/sensors/puerta_principal/contact'] === 'closed');
+
+        portal.setSensorOpen('Puerta principal', true);
+
+        await waitFor(() => retained['home/adt/sensors/puerta_principal/contact'] === 'open');
+        await waitFor(() => eventsReceived.some(event => event.type === 'contact'));
+
+        let event = eventsReceived.find(received => received.type === 'contact');
+
+        assert.strictEqual(event.sensor, 'Puerta principal');
+        assert.strictEqual(event.value, 'open');
+        assert.strictEqual(event.previous, 'closed');
+    });
+
+    it('arms and disarms from the command topic', async () => {
+        await waitFor(() => retained['home/adt/alarm/state'] === 'off');
+
+        subscriber.publish('home/adt/alarm/set', 'away');
+
+        await waitFor(() => portal.armingState === 'right');
+        await waitFor(() => retained['home/adt/alarm/state'] === 'away');
+
+        subscriber.publish('home/adt/alarm/set', 'off');
+
+        await waitFor(() => retained['home/adt/alarm/state'] === 'off');
+    });
+
+    it('reports refused commands as events', async () => {
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        await waitFor(() => retained['home/adt/alarm/fault'] === 'true');
+
+        subscriber.publish('home/adt/alarm/set', 'home');
+        subscriber.publish('home/adt/alarm/set', 'party');
+
+        await waitFor(() => eventsReceived.filter(event => event.type === 'command').length === 2);
+
+        let commands = eventsReceived.filter(event => event.type === 'command');
+
+        assert.strictEqual(commands[0].error, "Can't arm system. System is not ready.");
+        assert.strictEqual(commands[1].error, 'Unknown mode');
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('rejects night mode when it is not configured', async () => {
+        await waitFor(() => retained['home/adt/alarm/state'] === 'off');
+
+        subscriber.publish('home/adt/alarm/set', 'night');
+
+        await waitFor(() => eventsReceived.some(event => event.type === 'command'));
+
+        assert.strictEqual(eventsReceived.find(event => event.type === 'command').error, 'Night mode is not configured');
+        assert.strictEqual(adt.targetState, undefined);
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('reports a fault while the portal is unreachable', async () => {
+        await waitFor(() => retained['home/adt/alarm/fault'] === 'false');
+
+        portal.outage = true;
+
+        await waitFor(() => retained['home/adt/alarm/fault'] === 'true');
+
+        portal.outage = false;
+
+        await waitFor(() => retained['home/adt/alarm/fault'] === 'false');
+    });
+});
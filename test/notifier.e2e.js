@@ -0,0 +1,317 @@
+const assert = require('assert');
+const events = require('events');
+const http = require('http');
+const net = require('net');
+const Adt = require('../lib/adt').Adt;
+const Notifier = require('../lib/notifier').Notifier;
+const {FakePortal, SNAPSHOT} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+/**
+ * Records every request, standing in for webhook receivers, the bot API and
+ * ntfy.
+ */
+const startReceiver = async function () {
+    let requests = [];
+    let server = http.createServer((req, res) => {
+        let chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks)});
+            res.writeHead(200, {'Content-Type': 'application/json'});
+            res.end('{"ok":true}');
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {server: server, requests: requests, url: 'http://127.0.0.1:' + server.address().port};
+};
+
+/**
+ * Accepts one mail at a time over plain SMTP with AUTH LOGIN.
+ */
+const startSmtpServer = async function () {
+    let mails = [];
+    let server = net.createServer(socket => {
+        let mail = {commands: [], data: ''};
+        let buffer = '';
+        let inData = false;
+
+        socket.write('220 fake ESMTP\r\n');
+        socket.on('data', data => {
+            buffer += data.toString();
+
+            let lines = buffer.split('\r\n');
+
+            buffer = lines.pop();
+
+            lines.forEach(line => {
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        mails.push(mail);
+                        socket.write('250 queued\r\n');
+                    } else {
+                        mail.data += line + '\r\n';
+                    }
+                    return;
+                }
+
+                mail.commands.push(line);
+
+                if (line.startsWith('EHLO')) {
+                    socket.write('250-fake\r\n250 AUTH LOGIN\r\n');
+                } else if (line === 'AUTH LOGIN' || mail.commands.length === 3) {
+                    socket.write('334 VXNlcm5hbWU6\r\n');
+                } else if (mail.commands.length === 4) {
+                    socket.write('235 authenticated\r\n');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {server: server, mails: mails, port: server.address().port};
+};
+
+describe('Notifications against the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, receiver, adt, notifier, log;
+
+    const createNotifier = function (transports, options = {}) {
+        notifier = new Notifier(adt, Object.assign({name: 'Casa', transports: transports}, options), log).start();
+
+        return notifier;
+    };
+
+    const webhookEvents = () => receiver.requests
+        .filter(request => request.url === '/hook')
+        .map(request => JSON.parse(request.body.toString()));
+
+    beforeEach(async () => {
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addCamera('1234', 'Living');
+
+        await portal.start();
+
+        receiver = await startReceiver();
+
+        adt = new Adt({
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1,
+            armingTimeout: 5,
+            recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 1},
+            http: {retries: 0}
+        }, log);
+
+        await events.once(adt, 'init');
+    });
+
+    afterEach(async () => {
+        if (notifier) {
+            notifier.stop();
+            notifier = undefined;
+        }
+
+        adt.close();
+        await portal.stop();
+        await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    it('notifies arming and disarming through a webhook', async () => {
+        createNotifier([{type: 'webhook', url: receiver.url + '/hook'}]);
+
+        assert.strictEqual(adt.setState(1), null);
+        await waitFor(() => webhookEvents().some(event => event.event === 'armed'));
+
+        assert.strictEqual(adt.setState(3), null);
+        await waitFor(() => webhookEvents().some(event => event.event === 'disarmed'));
+
+        let [armed, disarmed] = webhookEvents();
+
+        assert.strictEqual(armed.title, 'Casa');
+        assert.strictEqual(armed.message, 'Casa armed (away)');
+        assert.deepStrictEqual(armed.data, {mode: 'away'});
+        assert.strictEqual(armed.image, undefined);
+        assert.strictEqual(disarmed.message, 'Casa disarmed');
+    });
+
+    it('notifies when the system cannot be armed because it is not ready', async () => {
+        createNotifier([{type: 'webhook', url: receiver.url + '/hook', events: ['armFailed']}], {
+            templates: {armFailed: '{name}: {mode} refused. {reason}'}
+        });
+
+        portal.setSensorOpen('Puerta principal', true);
+        await waitFor(() => adt.getState() && adt.getState().alarm.faultStatus === 1);
+
+        assert.ok(adt.setState(1) instanceof Error);
+
+        await waitFor(() => webhookEvents().length === 1);
+
+        assert.strictEqual(webhookEvents()[0].event, 'armFailed');
+        assert.strictEqual(webhookEvents()[0].message, "Casa: away refused. Can't arm system. System is not ready.");
+    });
+
+    it('attaches a camera snapshot when the alarm is triggered', async () => {
+        createNotifier([
+            {type: 'webhook', url: receiver.url + '/hook', events: ['triggered']},
+            {type: 'telegram', url: receiver.url, token: '123:abc', chatId: 42, events: ['triggered', 'cleared']},
+            {type: 'ntfy', url: receiver.url, topic: 'adt-casa', token: 'tk_secret'}
+        ]);
+
+        portal.arm('right');
+        await waitFor(() => receiver.requests.length === 1);
+        receiver.requests.splice(0);
+
+        portal.trigger('Puerta principal');
+        await waitFor(() => receiver.requests.length === 3);
+
+        let image = Buffer.from(SNAPSHOT.split(',')[1], 'base64');
+        let webhook = webhookEvents()[0];
+        let telegram = receiver.requests.find(request => request.url.startsWith('/bot'));
+        let ntfy = receiver.requests.find(request => request.url === '/adt-casa');
+
+        assert.strictEqual(webhook.message, 'Alarm triggered by Puerta principal');
+        assert.deepStrictEqual(Buffer.from(webhook.image, 'base64'), image);
+
+        assert.strictEqual(telegram.url, '/bot123:abc/sendPhoto');
+        assert.ok(telegram.headers['content-type'].startsWith('multipart/form-data'));
+        assert.ok(telegram.body.includes('Alarm triggered by Puerta principal'));
+        assert.ok(telegram.body.includes(image));
+
+        assert.strictEqual(ntfy.method, 'PUT');
+        assert.strictEqual(ntfy.headers['authorization'], 'Bearer tk_secret');
+        assert.strictEqual(ntfy.headers['priority'], 'high');
+        assert.strictEqual(ntfy.headers['filename'], 'snapshot.jpg');
+        assert.strictEqual(ntfy.headers['message'], 'Alarm triggered by Puerta principal');
+        assert.deepStrictEqual(ntfy.body, image);
+
+        portal.acknowledge();
+        await waitFor(() => receiver.requests.some(request => request.url === '/bot123:abc/sendMessage'));
+
+        let cleared = receiver.requests.find(request => request.url === '/bot123:abc/sendMessage');
+
+        assert.deepStrictEqual(JSON.parse(cleared.body.toString()), {chat_id: 42, text: 'Alarm cleared'});
+    });
+
+    it('notifies without a snapshot when the camera image cannot be decoded', async () => {
+        createNotifier([{type: 'webhook', url: receiver.url + '/hook'}]);
+
+        adt.getImage = () => Promise.resolve('<html>Session expired</html>');
+        adt.getExistingImage = () => Promise.resolve('');
+
+        await notifier.notify('motion', {sensor: 'Pasillo'});
+
+        assert.strictEqual(webhookEvents().length, 1);
+        assert.strictEqual(webhookEvents()[0].message, 'Motion detected by Pasillo while armed');
+        assert.strictEqual(webhookEvents()[0].image, undefined);
+        assert.deepStrictEqual(log.messages('warn'), [
+            'Could not get snapshot for notification, using existing image Not a base64 image',
+            'Sending notification without snapshot Not a base64 image'
+        ]);
+    });
+
+    it('rate limits every transport on its own', async () => {
+        createNotifier([
+            {type: 'webhook', url: receiver.url + '/hook', rateLimit: {messages: 2, period: 60}},
+            {type: 'webhook', url: receiver.url + '/other'}
+        ]);
+
+        for (let i = 0; i < 4; i++) {
+            await notifier.notify('sessionRestored', {});
+        }
+
+        assert.strictEqual(webhookEvents().length, 2);
+        assert.strictEqual(receiver.requests.filter(request => request.url === '/other').length, 4);
+        assert.ok(log.messages('warn').includes('Notification rate limit of webhook 1 reached. Dropping sessionRestored notification'));
+    });
+
+    it('notifies when the portal session fails and recovers', async () => {
+        createNotifier([{type: 'ntfy', url: receiver.url, topic: 'adt'}]);
+
+        portal.outage = true;
+        await waitFor(() => receiver.requests.length === 1);
+
+        portal.outage = false;
+        await waitFor(() => receiver.requests.length === 2);
+
+        let [failed, restored] = receiver.requests;
+
+        assert.strictEqual(failed.method, 'POST');
+        assert.ok(failed.body.toString().startsWith('Lost the connection to ADT.'));
+        assert.strictEqual(failed.headers['title'], 'Casa');
+        assert.strictEqual(restored.body.toString(), 'Connected to ADT again');
+        assert.strictEqual(restored.headers['priority'], 'default');
+    });
+
+    it('mails notifications with the snapshot attached over SMTP', async () => {
+        let smtp = await startSmtpServer();
+
+        try {
+            createNotifier([{
+                type: 'smtp',
+                host: '127.0.0.1',
+                port: smtp.port,
+                username: 'alarm@example.com',
+                password: 'mail-secret',
+                from: 'alarm@example.com',
+                to: ['me@example.com', 'you@example.com']
+            }]);
+
+            await notifier.notify('motion', {sensor: 'Pasillo'});
+
+            assert.strictEqual(smtp.mails.length, 1);
+
+            let mail = smtp.mails[0];
+
+            assert.deepStrictEqual(mail.commands.slice(1), [
+                'AUTH LOGIN',
+                Buffer.from('alarm@example.com').toString('base64'),
+                Buffer.from('mail-secret').toString('base64'),
+                'MAIL FROM:<alarm@example.com>',
+                'RCPT TO:<me@example.com>',
+                'RCPT TO:<you@example.com>',
+                'DATA'
+            ]);
+            assert.ok(mail.data.includes('To: me@example.com, you@example.com\r\n'));
+            assert.ok(mail.data.includes('Subject: Casa\r\n'));
+            assert.ok(mail.data.includes('\r\nMotion detected by Pasillo while armed\r\n'));
+            assert.ok(/Content-Disposition: attachment; filename="?snapshot\.jpg"?\r\n/.test(mail.data));
+            assert.ok(mail.data.includes(Buffer.from(SNAPSHOT.split(',')[1], 'base64').toString('base64')));
+        } finally {
+            await new Promise(resolve => smtp.server.close(resolve));
+        }
+    });
+
+    it('ignores transports it cannot use', () => {
+        createNotifier([
+            {type: 'pager'},
+            {type: 'telegram', token: '123:abc'},
+            {type: 'webhook', url: receiver.url, events: ['burglary']}
+        ]);
+
+        assert.strictEqual(notifier.transports.length, 0);
+        assert.deepStrictEqual(log.messages('warn'), [
+            'Ignoring notification transport pager 1. Unknown type pager. Use one of webhook, telegram, ntfy, smtp',
+            'Ignoring notification transport telegram 2. Missing chatId',
+            'Ignoring notification transport webhook 3. Unknown events burglary. Use some of armed, disarmed, armFailed, disarmFailed, triggered, cleared, motion, sessionFailed, sessionRestored'
+        ]);
+    });
+});
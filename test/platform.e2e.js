@@ -0,0 +1,824 @@
+const assert = require('assert');
+const events = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const API = require('homebridge/lib/api').API;
+const User = require('homebridge/lib/user').User;
+const plugin = require('../index');
+const {FakePortal} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('ADT platform against the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, api, platform, log, Characteristic, Service;
+    let registered, unregistered, published;
+
+    const launch = (cachedAccessories = [], config = {}) => {
+        api = new API();
+        plugin(api);
+
+        Characteristic = api.hap.Characteristic;
+        Service = api.hap.Service;
+        registered = [];
+        unregistered = [];
+        published = [];
+
+        api.on('registerPlatformAccessories', accessories => registered.push(...accessories));
+        api.on('unregisterPlatformAccessories', accessories => unregistered.push(...accessories));
+        api.on('publishExternalAccessories', accessories => published.push(...accessories));
+
+        const Platform = api.platform('ADT');
+
+        platform = new Platform(log, {
+            platform: 'ADT',
+            name: 'ADT',
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1,
+            ...config
+        }, api);
+
+        cachedAccessories.forEach(accessory => platform.configureAccessory(accessory));
+
+        return events.once(platform.locations[0].adt, 'init');
+    };
+
+    const findAccessory = name => platform.locations[0].platformAccessories.find(accessory => accessory.name === name).getAccessory();
+
+    beforeEach(async () => {
+        User.setStoragePath(fs.mkdtempSync(path.join(os.tmpdir(), 'adt-platform-')));
+
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addContactSensor('Ventana dormitorio');
+
+        await portal.start();
+    });
+
+    afterEach(async () => {
+        if (platform) await platform.close();
+        platform = undefined;
+        await portal.stop();
+
+        fs.rmSync(User.storagePath(), {recursive: true, force: true});
+    });
+
+    it('registers the security system and one accessory per contact sensor', async () => {
+        await launch();
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['ADT', 'Puerta principal', 'Ventana dormitorio']);
+        assert.strictEqual(registered[0].category, api.hap.Accessory.Categories.SECURITY_SYSTEM);
+        assert.strictEqual(registered[1].category, api.hap.Accessory.Categories.SENSOR);
+    });
+
+    it('does not register cached accessories again', async () => {
+        await launch();
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached);
+
+        assert.strictEqual(registered.length, 0);
+        assert.strictEqual(platform.locations[0].platformAccessories.length, 3);
+    });
+
+    it('removes cached accessories of sensors that no longer exist', async () => {
+        await launch([], {bypassSwitches: true});
+        let cached = registered;
+        await platform.close();
+
+        portal.removeContactSensor('Ventana dormitorio');
+
+        await launch(cached, {bypassSwitches: true});
+
+        assert.deepStrictEqual(unregistered.map(accessory => accessory.displayName), ['Ventana dormitorio', 'Ventana dormitorio Bypass']);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name), ['ADT', 'Puerta principal', 'Puerta principal Bypass']);
+    });
+
+    it('adds and removes accessories on periodic rediscovery', async () => {
+        await launch([], {rediscoveryInterval: 0.2});
+
+        portal.addContactSensor('Garage');
+        portal.addCamera('5678', 'Patio');
+
+        await waitFor(() => registered.some(accessory => accessory.displayName === 'Garage'));
+        await waitFor(() => published.some(accessory => accessory.displayName === 'Patio'));
+
+        portal.removeContactSensor('Puerta principal');
+
+        await waitFor(() => unregistered.some(accessory => accessory.displayName === 'Puerta principal'));
+
+        assert.strictEqual(published.length, 1);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name), ['ADT', 'Ventana dormitorio', 'Garage']);
+    });
+
+    it('stops rediscovery, the REST API and the MQTT bridge when closed', async () => {
+        await launch([], {rediscoveryInterval: 0.1, api: {port: 0, token: 'secret'}, mqtt: {url: 'mqtt://127.0.0.1:1'}});
+
+        let location = platform.locations[0];
+        let rediscoveries = 0;
+
+        location.reconcileAccessories = () => rediscoveries++;
+        await waitFor(() => rediscoveries > 0);
+        await platform.close();
+        rediscoveries = 0;
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.strictEqual(rediscoveries, 0);
+        assert.strictEqual(location.restApi.server.listening, false);
+        assert.strictEqual(location.mqttBridge.client.disconnected, true);
+        assert.strictEqual(location.adt.closed, true);
+    });
+
+    it('stops the metrics server when closed', async () => {
+        await launch([], {metrics: {port: 0}});
+        await waitFor(() => platform.metricsServer.server.listening);
+        await platform.close();
+
+        assert.strictEqual(platform.metricsServer.server.listening, false);
+    });
+
+    it('stops when homebridge shuts down', async () => {
+        await launch();
+
+        api.emit('shutdown');
+
+        assert.strictEqual(platform.locations[0].adt.closed, true);
+    });
+
+    it('keeps the accessories of zones renamed in ADT', async () => {
+        portal.addMotionSensor('PIR Living');
+
+        await launch([], {bypassSwitches: true});
+        let cached = registered;
+        let uuids = cached.map(accessory => accessory.UUID);
+        await platform.close();
+
+        portal.renameZone('Ventana dormitorio', 'Ventana cocina');
+        portal.renameZone('PIR Living', 'PIR Cocina');
+
+        await launch(cached, {bypassSwitches: true, name: 'Alarma'});
+
+        assert.deepStrictEqual(registered, []);
+        assert.deepStrictEqual(unregistered, []);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.getAccessory().UUID), uuids);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name),
+            ['Alarma', 'Puerta principal', 'Ventana cocina', 'PIR Cocina', 'Puerta principal Bypass', 'Ventana cocina Bypass']);
+        assert.strictEqual(findAccessory('Ventana cocina').context.sensorName, 'Ventana cocina');
+        assert.strictEqual(findAccessory('Ventana cocina').getService(Service.AccessoryInformation).getCharacteristic(Characteristic.Name).value, 'Ventana cocina');
+        assert.strictEqual(findAccessory('Ventana cocina Bypass').context.sensorName, 'Ventana cocina');
+
+        let contactSensorState = findAccessory('Ventana cocina')
+            .getService(Service.ContactSensor)
+            .getCharacteristic(Characteristic.ContactSensorState);
+
+        portal.setSensorOpen('Ventana cocina', true);
+
+        await waitFor(() => contactSensorState.value === Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    });
+
+    it('follows zones renamed in ADT while running', async () => {
+        portal.addMotionSensor('PIR Living');
+
+        await launch([], {bypassSwitches: true});
+
+        let accessories = platform.locations[0].platformAccessories.map(accessory => accessory.getAccessory());
+        let contactSensor = findAccessory('Ventana dormitorio').getService(Service.ContactSensor);
+
+        portal.renameZone('Ventana dormitorio', 'Ventana cocina');
+        portal.renameZone('PIR Living', 'PIR Cocina');
+        portal.setSensorOpen('Ventana cocina', true);
+
+        await waitFor(() => contactSensor.getCharacteristic(Characteristic.ContactSensorState).value === Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name),
+            ['ADT', 'Puerta principal', 'Ventana cocina', 'PIR Cocina', 'Puerta principal Bypass', 'Ventana cocina Bypass']);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.getAccessory()), accessories);
+        assert.strictEqual(contactSensor.getCharacteristic(Characteristic.StatusActive).value, true);
+        assert.strictEqual(findAccessory('Ventana cocina').getService(Service.AccessoryInformation).getCharacteristic(Characteristic.Name).value, 'Ventana cocina');
+        assert.ok(log.messages('info').includes('Motion sensor PIR Living was renamed to PIR Cocina in ADT'));
+        assert.deepStrictEqual(log.messages('warn').filter(message => message.includes('no longer reported')), []);
+
+        portal.setMotion('PIR Cocina', true);
+
+        await waitFor(() => findAccessory('PIR Cocina').getService(Service.MotionSensor).getCharacteristic(Characteristic.MotionDetected).value === true);
+    });
+
+    it('migrates accessories cached before zone ids were known', async () => {
+        portal.zoneIds = false;
+
+        await launch();
+        let cached = registered;
+        await platform.close();
+
+        assert.strictEqual(cached[1].UUID, api.hap.uuid.generate('Puerta principal'));
+
+        portal.zoneIds = true;
+
+        await launch(cached, {rediscoveryInterval: 0.2});
+
+        assert.deepStrictEqual(registered, []);
+        assert.deepStrictEqual(cached.map(accessory => accessory.context.zoneId), [undefined, '1', '2']);
+        assert.ok(log.messages('info').includes('Remembering zone id 1 for contact sensor Puerta principal'));
+
+        portal.renameZone('Puerta principal', 'Puerta de entrada');
+
+        await waitFor(() => platform.locations[0].platformAccessories.some(accessory => accessory.name === 'Puerta de entrada'));
+
+        assert.deepStrictEqual(registered, []);
+        assert.deepStrictEqual(unregistered, []);
+        assert.strictEqual(findAccessory('Puerta de entrada'), cached[1]);
+    });
+
+    it('identifies cameras by their ADT id', async () => {
+        portal.addCamera('1234', 'Living');
+
+        await launch([], {rediscoveryInterval: 0.2});
+        await waitFor(() => published.length === 1);
+
+        assert.strictEqual(published[0].UUID, api.hap.uuid.generate('camera:1234'));
+
+        portal.cameras[0].name = 'Comedor';
+
+        await waitFor(() => published[0].getService(Service.AccessoryInformation).getCharacteristic(Characteristic.Name).value === 'Comedor');
+        assert.strictEqual(published.length, 1);
+    });
+
+    it('reuses the session saved in the homebridge storage path after a restart', async () => {
+        await launch();
+        await platform.close();
+
+        await launch();
+
+        assert.strictEqual(portal.logins, 1);
+        assert.strictEqual(fs.readdirSync(User.storagePath()).filter(file => file.startsWith('adt-session-')).length, 1);
+    });
+
+    it('publishes the cameras found on the dashboard', async () => {
+        portal.addCamera('1234', 'Living');
+
+        await launch();
+        await waitFor(() => published.length === 1);
+
+        assert.strictEqual(published[0].displayName, 'Living');
+        assert.strictEqual(published[0].category, api.hap.Accessory.Categories.CAMERA);
+    });
+
+    it('registers motion sensors and reports motion', async () => {
+        portal.addMotionSensor('PIR Living');
+
+        await launch();
+
+        let accessory = registered.find(registeredAccessory => registeredAccessory.displayName === 'PIR Living');
+        let motionDetected = accessory.getService(Service.MotionSensor).getCharacteristic(Characteristic.MotionDetected);
+
+        assert.strictEqual(accessory.category, api.hap.Accessory.Categories.SENSOR);
+
+        portal.setMotion('PIR Living', true);
+
+        await waitFor(() => motionDetected.value === true);
+
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached);
+
+        assert.strictEqual(registered.length, 0);
+        assert.ok(platform.locations[0].platformAccessories.find(restored => restored.name === 'PIR Living').motionSensorService);
+    });
+
+    it('registers bypass switches for the configured sensors', async () => {
+        await launch([], {bypassSwitches: ['Ventana dormitorio']});
+
+        let bypassSwitch = registered.find(accessory => accessory.displayName === 'Ventana dormitorio Bypass');
+
+        assert.strictEqual(registered.length, 4);
+        assert.strictEqual(bypassSwitch.category, api.hap.Accessory.Categories.SWITCH);
+        assert.strictEqual(bypassSwitch.context.sensorName, 'Ventana dormitorio');
+    });
+
+    it('bypasses a zone from its switch and reflects the portal bypass status', async () => {
+        await launch([], {bypassSwitches: true});
+
+        let on = findAccessory('Puerta principal Bypass')
+            .getService(Service.Switch)
+            .getCharacteristic(Characteristic.On);
+
+        await new Promise((resolve, reject) => on.setValue(true, error => error ? reject(error) : resolve()));
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Puerta principal').bypassed, true);
+
+        await new Promise((resolve, reject) => on.setValue(false, error => error ? reject(error) : resolve()));
+
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Puerta principal').bypassed, false);
+
+        portal.contactSensors.find(sensor => sensor.name === 'Puerta principal').bypassed = true;
+
+        await waitFor(() => on.value === true);
+    });
+
+    it('restores cached bypass switches', async () => {
+        await launch([], {bypassSwitches: true});
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached, {bypassSwitches: true});
+
+        assert.strictEqual(registered.length, 0);
+        assert.ok(platform.locations[0].platformAccessories.some(accessory => accessory.sensorName === 'Ventana dormitorio'));
+    });
+
+    it('sends an emergency only when its switch is turned on twice within the confirmation window', async () => {
+        portal.emergencyButtons = ['panic', 'fire'];
+
+        await launch([], {emergencySwitches: {types: ['panic', 'flood'], confirmationWindow: 0.5}});
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['ADT', 'Puerta principal', 'Ventana dormitorio', 'Panic']);
+        assert.ok(log.messages('warn').some(message => message.includes('Ignoring unknown emergency switch flood')));
+
+        let on = findAccessory('Panic').getService(Service.Switch).getCharacteristic(Characteristic.On);
+        const turnOn = () => new Promise((resolve, reject) => on.setValue(true, error => error ? reject(error) : resolve()));
+
+        await turnOn();
+        await waitFor(() => on.value === false);
+        await new Promise(resolve => setTimeout(resolve, 600));
+        await turnOn();
+        await waitFor(() => on.value === false);
+
+        assert.deepStrictEqual(portal.emergencies, []);
+
+        await turnOn();
+        await waitFor(() => portal.emergencies.length === 1);
+        await waitFor(() => on.value === false);
+
+        assert.deepStrictEqual(portal.emergencies, ['panic']);
+        assert.ok(log.messages('warn').some(message => message.includes('Panic emergency sent to ADT')));
+    });
+
+    it('restores cached emergency switches', async () => {
+        await launch([], {emergencySwitches: {types: ['fire']}});
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached, {emergencySwitches: {types: ['fire']}});
+
+        assert.strictEqual(registered.length, 0);
+        assert.ok(platform.locations[0].platformAccessories.some(accessory => accessory.emergency === 'fire'));
+        await platform.close();
+
+        await launch(cached);
+
+        assert.deepStrictEqual(unregistered.map(accessory => accessory.displayName), ['Fire']);
+    });
+
+    it('pushes refreshed contact sensor state into HomeKit', async () => {
+        await launch();
+
+        let contactSensorState = findAccessory('Ventana dormitorio')
+            .getService(Service.ContactSensor)
+            .getCharacteristic(Characteristic.ContactSensorState);
+
+        await waitFor(() => contactSensorState.value === Characteristic.ContactSensorState.CONTACT_DETECTED);
+
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        await waitFor(() => contactSensorState.value === Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+    });
+
+    it('reports tampering, low battery and lost supervision on contact sensors', async () => {
+        await launch();
+
+        let service = findAccessory('Ventana dormitorio').getService(Service.ContactSensor);
+
+        await waitFor(() => service.getCharacteristic(Characteristic.StatusActive).value === true);
+
+        portal.setSensorStatus('Ventana dormitorio', {lowBattery: true, tampered: true});
+
+        await waitFor(() => service.getCharacteristic(Characteristic.StatusTampered).value === Characteristic.StatusTampered.TAMPERED);
+        assert.strictEqual(service.getCharacteristic(Characteristic.StatusLowBattery).value, Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW);
+
+        portal.setSensorStatus('Ventana dormitorio', {offline: true});
+
+        await waitFor(() => service.getCharacteristic(Characteristic.StatusActive).value === false);
+        assert.strictEqual(service.getCharacteristic(Characteristic.StatusFault).value, Characteristic.StatusFault.GENERAL_FAULT);
+        assert.ok(log.messages('warn').includes('Contact sensor Ventana dormitorio is offline'));
+    });
+
+    it('marks a contact sensor missing from the dashboard as inactive instead of open', async () => {
+        await launch();
+
+        let service = findAccessory('Ventana dormitorio').getService(Service.ContactSensor);
+
+        await waitFor(() => service.getCharacteristic(Characteristic.StatusActive).value === true);
+
+        portal.removeContactSensor('Ventana dormitorio');
+
+        await waitFor(() => service.getCharacteristic(Characteristic.StatusActive).value === false);
+        assert.strictEqual(service.getCharacteristic(Characteristic.ContactSensorState).value, Characteristic.ContactSensorState.CONTACT_DETECTED);
+        assert.strictEqual(service.getCharacteristic(Characteristic.StatusFault).value, Characteristic.StatusFault.GENERAL_FAULT);
+    });
+
+    it('exposes zones as configured doors and windows with their own names', async () => {
+        await launch([], {sensors: {
+            'Puerta principal': {type: 'door', name: 'Front door'},
+            'Ventana dormitorio': {type: 'window'}
+        }});
+
+        let door = findAccessory('Puerta principal');
+        let position = door.getService(Service.Door).getCharacteristic(Characteristic.CurrentPosition);
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['ADT', 'Front door', 'Ventana dormitorio']);
+        assert.strictEqual(door.category, api.hap.Accessory.Categories.DOOR);
+        assert.strictEqual(door.context.sensorName, 'Puerta principal');
+        assert.strictEqual(door.getService(Service.ContactSensor), undefined);
+        assert.strictEqual(findAccessory('Ventana dormitorio').category, api.hap.Accessory.Categories.WINDOW);
+
+        await waitFor(() => position.value === 0);
+
+        portal.setSensorOpen('Puerta principal', true);
+
+        await waitFor(() => position.value === 100);
+        assert.strictEqual(door.getService(Service.Door).getCharacteristic(Characteristic.TargetPosition).value, 100);
+    });
+
+    it('groups zones into one accessory and leaves excluded zones out', async () => {
+        portal.addContactSensor('Garage');
+
+        await launch([], {sensors: {
+            'Puerta principal': {group: 'Entrance'},
+            'Ventana dormitorio': {group: 'Entrance', name: 'Side window'},
+            'Garage': {exclude: true}
+        }});
+
+        let group = registered[1];
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['ADT', 'Entrance']);
+        assert.deepStrictEqual(group.context.sensors.map(zone => zone.name), ['Puerta principal', 'Ventana dormitorio']);
+        assert.deepStrictEqual(group.services.filter(service => service.UUID === Service.ContactSensor.UUID).map(service => service.subtype), ['1', '2']);
+        assert.strictEqual(group.getServiceByUUIDAndSubType(Service.ContactSensor, '2').getCharacteristic(Characteristic.Name).value, 'Side window');
+        assert.ok(!platform.locations[0].platformAccessories.some(accessory => accessory.name === 'Garage'));
+
+        let contactSensorState = group.getServiceByUUIDAndSubType(Service.ContactSensor, '2').getCharacteristic(Characteristic.ContactSensorState);
+
+        portal.setSensorOpen('Ventana dormitorio', true);
+
+        await waitFor(() => contactSensorState.value === Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached, {sensors: {'Puerta principal': {group: 'Entrance'}}});
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['Ventana dormitorio', 'Garage']);
+        assert.deepStrictEqual(unregistered, []);
+        assert.deepStrictEqual(group.context.sensors.map(zone => zone.name), ['Puerta principal']);
+        assert.strictEqual(group.getServiceByUUIDAndSubType(Service.ContactSensor, '2'), undefined);
+    });
+
+    it('applies changed sensor settings to cached accessories', async () => {
+        await launch();
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached, {sensors: {
+            'Puerta principal': {type: 'garageDoor', name: 'Garage door'},
+            'Ventana dormitorio': {exclude: true}
+        }});
+
+        let garageDoor = findAccessory('Puerta principal').getService(Service.GarageDoorOpener);
+        let targetDoorState = garageDoor.getCharacteristic(Characteristic.TargetDoorState);
+
+        assert.strictEqual(registered.length, 0);
+        assert.deepStrictEqual(unregistered.map(accessory => accessory.displayName), ['Ventana dormitorio']);
+        assert.strictEqual(findAccessory('Puerta principal').getService(Service.ContactSensor), undefined);
+        assert.strictEqual(garageDoor.getCharacteristic(Characteristic.Name).value, 'Garage door');
+
+        await waitFor(() => garageDoor.getCharacteristic(Characteristic.CurrentDoorState).value === Characteristic.CurrentDoorState.CLOSED);
+
+        await new Promise((resolve, reject) => targetDoorState.setValue(Characteristic.TargetDoorState.OPEN, error => error ? reject(error) : resolve()));
+
+        await waitFor(() => targetDoorState.value === Characteristic.TargetDoorState.CLOSED);
+        assert.strictEqual(portal.contactSensors.find(sensor => sensor.name === 'Puerta principal').open, false);
+    });
+
+    it('arms the system from the SecuritySystem target state', async () => {
+        await launch();
+
+        let securityService = findAccessory('ADT').getService(Service.SecuritySystem);
+
+        await new Promise((resolve, reject) => securityService
+            .getCharacteristic(Characteristic.SecuritySystemTargetState)
+            .setValue(Characteristic.SecuritySystemTargetState.AWAY_ARM, error => error ? reject(error) : resolve()));
+
+        await waitFor(() => portal.armingState === 'right');
+        await waitFor(() => securityService.getCharacteristic(Characteristic.SecuritySystemCurrentState).value === Characteristic.SecuritySystemCurrentState.AWAY_ARM);
+    });
+
+    it('reverts the HomeKit target state when the panel does not arm', async () => {
+        portal.exitDelay = 10000;
+
+        await launch([], {armingTimeout: 1});
+
+        let targetState = findAccessory('ADT')
+            .getService(Service.SecuritySystem)
+            .getCharacteristic(Characteristic.SecuritySystemTargetState);
+
+        await new Promise((resolve, reject) => targetState.setValue(Characteristic.SecuritySystemTargetState.AWAY_ARM, error => error ? reject(error) : resolve()));
+
+        await waitFor(() => targetState.value === Characteristic.SecuritySystemTargetState.DISARM);
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('reports a fault on the security system while the portal is unreachable', async () => {
+        await launch([], {recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 2}, http: {retries: 0}});
+
+        let statusFault = findAccessory('ADT')
+            .getService(Service.SecuritySystem)
+            .getCharacteristic(Characteristic.StatusFault);
+
+        portal.outage = true;
+
+        await waitFor(() => statusFault.value === Characteristic.StatusFault.GENERAL_FAULT);
+
+        portal.outage = false;
+
+        await waitFor(() => statusFault.value === Characteristic.StatusFault.NO_FAULT);
+    });
+
+    it('reports an error to HomeKit when the system is not ready', async () => {
+        portal.setSensorOpen('Puerta principal', true);
+
+        await launch();
+
+        let securityService = findAccessory('ADT').getService(Service.SecuritySystem);
+
+        let error = await new Promise(resolve => securityService
+            .getCharacteristic(Characteristic.SecuritySystemTargetState)
+            .setValue(Characteristic.SecuritySystemTargetState.STAY_ARM, resolve));
+
+        assert.ok(error instanceof Error);
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('refuses a HomeKit disarm until Confirm Disarm is turned on', async () => {
+        portal.armingState = 'right';
+
+        await launch([], {disarmSafeguards: {confirmationSwitch: true, confirmationWindow: 1}});
+
+        assert.ok(registered.some(accessory => accessory.displayName === 'Confirm Disarm'));
+
+        let targetState = findAccessory('ADT').getService(Service.SecuritySystem).getCharacteristic(Characteristic.SecuritySystemTargetState);
+        let confirm = findAccessory('Confirm Disarm').getService(Service.Switch).getCharacteristic(Characteristic.On);
+        const disarm = () => new Promise(resolve => targetState.setValue(Characteristic.SecuritySystemTargetState.DISARM, resolve));
+
+        await waitFor(() => targetState.value === Characteristic.SecuritySystemTargetState.AWAY_ARM);
+
+        let error = await disarm();
+
+        assert.strictEqual(error.message, String(api.hap.HAPServer.Status.INSUFFICIENT_PRIVILEGES));
+        assert.strictEqual(targetState.value, Characteristic.SecuritySystemTargetState.AWAY_ARM);
+        assert.ok(log.messages('warn').some(message => message.startsWith('Refused disarm request from HomeKit')));
+
+        await new Promise(resolve => confirm.setValue(true, resolve));
+        await new Promise(resolve => setTimeout(resolve, 1200));
+
+        assert.strictEqual(confirm.value, false);
+        assert.ok((await disarm()) instanceof Error);
+
+        await new Promise(resolve => confirm.setValue(true, resolve));
+
+        assert.ifError(await disarm());
+        await waitFor(() => portal.armingState === 'left');
+        await waitFor(() => confirm.value === false);
+        assert.ok(log.messages().includes('Allowed disarm request from HomeKit'));
+    });
+
+    it('keeps a cached Confirm Disarm switch working once the safeguards are removed', async () => {
+        await launch([], {disarmSafeguards: {confirmationSwitch: true}});
+
+        let cached = registered;
+        await platform.close();
+
+        let confirm = cached.find(accessory => accessory.displayName === 'Confirm Disarm').getService(Service.Switch).getCharacteristic(Characteristic.On);
+
+        // Homebridge restores cached accessories without the handlers of the previous run
+        confirm.removeAllListeners('get').removeAllListeners('set');
+
+        let init = launch(cached);
+
+        assert.strictEqual(await new Promise((resolve, reject) => confirm.getValue((error, value) => error ? reject(error) : resolve(value))), false);
+        await new Promise((resolve, reject) => confirm.setValue(true, error => error ? reject(error) : resolve()));
+        assert.strictEqual(confirm.value, false);
+
+        await init;
+
+        assert.ok(unregistered.some(accessory => accessory.displayName === 'Confirm Disarm'));
+    });
+
+    it('starts the arming schedule and pauses it from HomeKit', async () => {
+        let schedule = {rules: [{mode: 'home', cron: '30 23 * * 1-5'}], pauseSwitch: true};
+
+        await launch([], {schedule: schedule});
+
+        let scheduler = platform.locations[0].scheduler;
+        let pause = findAccessory('Pause Schedule').getService(Service.Switch).getCharacteristic(Characteristic.On);
+
+        assert.ok(log.messages().some(message => message.startsWith('Next scheduled action: home at')));
+
+        await new Promise(resolve => pause.setValue(true, resolve));
+
+        assert.strictEqual(scheduler.isPaused(), true);
+        assert.strictEqual(findAccessory('Pause Schedule').context.paused, true);
+
+        let cached = registered;
+        await platform.close();
+
+        await launch(cached, {schedule: schedule});
+
+        assert.strictEqual(registered.length, 0);
+        assert.strictEqual(platform.locations[0].scheduler.isPaused(), true);
+    });
+
+    it('keeps a cached Pause Schedule switch working once the schedule is removed', async () => {
+        await launch([], {schedule: {rules: [], pauseSwitch: true}});
+
+        let cached = registered;
+        await platform.close();
+
+        let pause = cached.find(accessory => accessory.displayName === 'Pause Schedule').getService(Service.Switch).getCharacteristic(Characteristic.On);
+
+        // Homebridge restores cached accessories without the handlers of the previous run
+        pause.removeAllListeners('set');
+
+        let init = launch(cached);
+
+        await new Promise((resolve, reject) => pause.setValue(true, error => error ? reject(error) : resolve()));
+        await init;
+
+        assert.ok(unregistered.some(accessory => accessory.displayName === 'Pause Schedule'));
+    });
+
+    it('registers one security system per partition', async () => {
+        portal.addPartition('Garaje');
+
+        await launch();
+
+        assert.deepStrictEqual(registered.map(accessory => accessory.displayName), ['ADT', 'Garaje', 'Puerta principal', 'Ventana dormitorio']);
+        assert.strictEqual(registered[1].category, api.hap.Accessory.Categories.SECURITY_SYSTEM);
+        assert.strictEqual(registered[1].getService(Service.BatteryService), undefined);
+
+        let partitionService = findAccessory('Garaje').getService(Service.SecuritySystem);
+
+        await new Promise((resolve, reject) => partitionService
+            .getCharacteristic(Characteristic.SecuritySystemTargetState)
+            .setValue(Characteristic.SecuritySystemTargetState.AWAY_ARM, error => error ? reject(error) : resolve()));
+
+        await waitFor(() => portal.partition('Garaje').armingState === 'right');
+        await waitFor(() => partitionService.getCharacteristic(Characteristic.SecuritySystemCurrentState).value === Characteristic.SecuritySystemCurrentState.AWAY_ARM);
+
+        assert.strictEqual(portal.armingState, 'left');
+        assert.strictEqual(findAccessory('ADT').getService(Service.SecuritySystem).getCharacteristic(Characteristic.SecuritySystemCurrentState).value, Characteristic.SecuritySystemCurrentState.DISARMED);
+    });
+
+    it('reports an error to HomeKit when a partition is not ready', async () => {
+        portal.addPartition('Garaje');
+        portal.partition('Garaje').notReady = true;
+
+        await launch();
+
+        let error = await new Promise(resolve => findAccessory('Garaje').getService(Service.SecuritySystem)
+            .getCharacteristic(Characteristic.SecuritySystemTargetState)
+            .setValue(Characteristic.SecuritySystemTargetState.STAY_ARM, resolve));
+
+        assert.ok(error instanceof Error);
+        assert.strictEqual(portal.partition('Garaje').armingState, 'left');
+    });
+
+    it('restores partition security systems and removes those of partitions no longer reported', async () => {
+        portal.addPartition('Garaje');
+
+        await launch();
+        let cached = registered;
+        await platform.close();
+
+        portal.partition('Garaje').name = 'Cochera';
+
+        await launch(cached);
+
+        assert.strictEqual(registered.length, 0);
+        assert.strictEqual(findAccessory('Cochera').getService(Service.SecuritySystem).getCharacteristic(Characteristic.Name).value, 'Cochera');
+        await platform.close();
+
+        portal.partitions = [];
+
+        await launch(cached);
+
+        assert.deepStrictEqual(unregistered.map(accessory => accessory.UUID), [cached[1].UUID]);
+        assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name), ['ADT', 'Puerta principal', 'Ventana dormitorio']);
+    });
+
+    describe('with several locations', () => {
+        let weekendPortal;
+
+        beforeEach(async () => {
+            weekendPortal = new FakePortal({username: 'weekend', password: 'weekend-pass'})
+                .addContactSensor('Puerta quinta');
+
+            await weekendPortal.start();
+        });
+
+        afterEach(async () => {
+            if (platform) await platform.close();
+            platform = undefined;
+            await weekendPortal.stop();
+        });
+
+        const launchLocations = async (cachedAccessories, locations) => {
+            let init = launch(cachedAccessories, {locations: locations});
+
+            await Promise.all([init].concat(platform.locations.slice(1).map(location => events.once(location.adt, 'init'))));
+        };
+
+        const weekendHome = () => ({name: 'Quinta', username: 'weekend', password: 'weekend-pass', domain: weekendPortal.domain});
+
+        it('gives every location its own security system, sensors and session', async () => {
+            await launchLocations([], [{name: 'Casa'}, weekendHome()]);
+
+            let weekendAccessories = platform.locations[1].platformAccessories.map(accessory => accessory.getAccessory());
+
+            // Locations start side by side, so either may register first
+            assert.deepStrictEqual(registered.map(accessory => accessory.displayName).sort(), ['Casa', 'Puerta principal', 'Puerta quinta', 'Quinta', 'Ventana dormitorio']);
+            assert.strictEqual(new Set(registered.map(accessory => accessory.UUID)).size, 5);
+            assert.strictEqual(weekendAccessories[1].context.location, platform.locations[1].id);
+            assert.notStrictEqual(weekendAccessories[1].UUID, findAccessory('Puerta principal').UUID);
+            assert.strictEqual(portal.logins, 1);
+            assert.strictEqual(weekendPortal.logins, 1);
+            assert.strictEqual(fs.readdirSync(User.storagePath()).filter(file => file.startsWith('adt-session-')).length, 2);
+
+            await new Promise((resolve, reject) => weekendAccessories[0]
+                .getService(Service.SecuritySystem)
+                .getCharacteristic(Characteristic.SecuritySystemTargetState)
+                .setValue(Characteristic.SecuritySystemTargetState.AWAY_ARM, error => error ? reject(error) : resolve()));
+
+            await waitFor(() => weekendPortal.armingState === 'right');
+            assert.strictEqual(portal.armingState, 'left');
+        });
+
+        it('keeps one location running while another is unreachable', async () => {
+            await launchLocations([], [{name: 'Casa', recovery: {initialDelay: 0.05, maxDelay: 0.1, failureThreshold: 2}, http: {retries: 0}}, weekendHome()]);
+
+            let homeFault = findAccessory('Casa').getService(Service.SecuritySystem).getCharacteristic(Characteristic.StatusFault);
+            let weekendContact = platform.locations[1].platformAccessories[1].getAccessory()
+                .getService(Service.ContactSensor)
+                .getCharacteristic(Characteristic.ContactSensorState);
+
+            portal.outage = true;
+            weekendPortal.setSensorOpen('Puerta quinta', true);
+
+            await waitFor(() => homeFault.value === Characteristic.StatusFault.GENERAL_FAULT);
+            await waitFor(() => weekendContact.value === Characteristic.ContactSensorState.CONTACT_NOT_DETECTED);
+
+            portal.outage = false;
+        });
+
+        it('restores cached accessories into their location and removes those of dropped locations', async () => {
+            await launchLocations([], [{name: 'Casa'}, weekendHome()]);
+            let cached = registered;
+            await platform.close();
+
+            await launchLocations(cached, [{name: 'Casa'}, weekendHome()]);
+
+            assert.deepStrictEqual(registered, []);
+            assert.deepStrictEqual(platform.locations.map(location => location.platformAccessories.length), [3, 2]);
+
+            await platform.close();
+
+            await launchLocations(cached, [{name: 'Casa'}]);
+            api.emit('didFinishLaunching');
+
+            assert.deepStrictEqual(registered, []);
+            assert.deepStrictEqual(unregistered.map(accessory => accessory.displayName), ['Quinta', 'Puerta quinta']);
+        });
+
+        it('skips a location that cannot start and keeps its cached accessories', async () => {
+            await launchLocations([], [{name: 'Casa'}, weekendHome()]);
+            let cached = registered;
+            await platform.close();
+
+            await launchLocations(cached, [{name: 'Casa', password: ''}, weekendHome()]);
+            api.emit('didFinishLaunching');
+
+            assert.deepStrictEqual(platform.locations.map(location => location.name), ['Quinta']);
+            assert.ok(log.messages('error').includes('Skipping location Casa. Missing parameter. Please check configuration.'));
+            assert.deepStrictEqual(registered, []);
+            assert.deepStrictEqual(unregistered, []);
+            assert.deepStrictEqual(platform.locations[0].platformAccessories.map(accessory => accessory.name), ['Quinta', 'Puerta quinta']);
+        });
+    });
+});
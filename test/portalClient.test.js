@@ -0,0 +1,148 @@
+const assert = require('assert');
+const http = require('http');
+const {PortalClient, SessionRejectedError, HttpError} = require('../lib/portalClient');
+const {createLog} = require('./support/log');
+
+describe('Portal client', () => {
+    let log, sent, responses;
+
+    const fakeTransport = {
+        createJar: () => ({}),
+        send: async options => {
+            sent.push(options);
+
+            let response = responses.shift();
+
+            if (response instanceof Error) {
+                throw response;
+            }
+
+            return Object.assign({headers: {}, body: ''}, response);
+        }
+    };
+
+    const createClient = (config = {}) => new PortalClient(Object.assign({
+        baseUrl: 'https://portal',
+        domain: 'portal',
+        http: {retryDelay: 0.01}
+    }, config), log, fakeTransport);
+
+    beforeEach(() => {
+        log = createLog();
+        sent = [];
+        responses = [];
+    });
+
+    it('sends the browser headers of each request kind with a timeout', async () => {
+        responses.push({statusCode: 200, body: '<html></html>'}, {statusCode: 200, body: '<partial-response/>'});
+
+        let client = createClient({http: {timeout: 7}});
+
+        await client.send({path: '/selfcare/dashboard.xhtml', headers: {'Accept': 'application/json'}});
+        await client.send({method: 'POST', kind: 'ajax', path: '/selfcare/dashboard.xhtml', form: {a: 1}});
+
+        assert.strictEqual(sent[0].uri, 'https://portal/selfcare/dashboard.xhtml');
+        assert.strictEqual(sent[0].timeout, 7000);
+        assert.strictEqual(sent[0].headers['Host'], 'portal');
+        assert.strictEqual(sent[0].headers['Accept'], 'application/json');
+        assert.strictEqual(sent[1].headers['Faces-Request'], 'partial/ajax');
+        assert.deepStrictEqual(sent[1].form, {a: 1});
+    });
+
+    it('retries idempotent requests on network errors and server errors', async () => {
+        responses.push(new Error('ESOCKETTIMEDOUT'), {statusCode: 503}, {statusCode: 200, body: 'ok'});
+
+        let response = await createClient().send({path: '/selfcare/dashboard.xhtml'});
+
+        assert.strictEqual(response.body, 'ok');
+        assert.strictEqual(sent.length, 3);
+        assert.strictEqual(log.messages('warn').filter(message => message.startsWith('Request to /selfcare/dashboard.xhtml failed')).length, 2);
+    });
+
+    it('gives up after the configured retries', async () => {
+        responses.push({statusCode: 503}, {statusCode: 503});
+
+        await assert.rejects(createClient({http: {retries: 1, retryDelay: 0.01}}).send({path: '/'}), error => error instanceof HttpError && error.statusCode === 503);
+        assert.strictEqual(sent.length, 2);
+    });
+
+    it('never retries actions', async () => {
+        responses.push(new Error('ECONNRESET'));
+
+        await assert.rejects(createClient().send({method: 'POST', kind: 'ajax', path: '/selfcare/dashboard.xhtml'}), /ECONNRESET/);
+        assert.strictEqual(sent.length, 1);
+    });
+
+    it('logs in again once when bounced to the login page and rebuilds the request', async () => {
+        let token = 'old';
+        let logins = 0;
+        let client = createClient({
+            relogin: async () => {
+                logins++;
+                token = 'new';
+            }
+        });
+
+        responses.push({statusCode: 403}, {statusCode: 200, body: '<partial-response/>'});
+
+        await client.send({method: 'POST', kind: 'ajax', path: '/selfcare/dashboard.xhtml', form: () => ({token: token})});
+
+        assert.strictEqual(logins, 1);
+        assert.deepStrictEqual(sent.map(options => options.form.token), ['old', 'new']);
+        assert.ok(log.messages('warn').includes('Session rejected by portal. Logging in again'));
+    });
+
+    it('shares one login between concurrent rejected requests', async () => {
+        let logins = 0;
+        let client = createClient({relogin: () => new Promise(resolve => setTimeout(() => resolve(logins++), 20))});
+
+        responses.push(
+            {statusCode: 200, body: '<input type="text" name="j_username"/>'},
+            {statusCode: 302, headers: {location: '/selfcare/frontpage.xhtml'}},
+            {statusCode: 200, body: 'one'},
+            {statusCode: 200, body: 'two'}
+        );
+
+        await Promise.all([client.send({path: '/a'}), client.send({path: '/b'})]);
+
+        assert.strictEqual(logins, 1);
+    });
+
+    it('reports a session that is still rejected after logging in again', async () => {
+        let client = createClient({relogin: async () => undefined});
+
+        responses.push({statusCode: 401}, {statusCode: 401});
+
+        await assert.rejects(client.send({path: '/'}), SessionRejectedError);
+    });
+
+    it('does not log in again for the login requests themselves', async () => {
+        let client = createClient({relogin: () => assert.fail('unexpected login')});
+
+        responses.push({statusCode: 200, body: '<input name="j_username"/>'});
+
+        let response = await client.send({path: '', session: false});
+
+        assert.ok(response.body.includes('j_username'));
+    });
+
+    it('times out hung requests with the default transport', async () => {
+        let server = http.createServer(() => undefined);
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            let client = new PortalClient({
+                baseUrl: 'http://127.0.0.1:' + server.address().port,
+                domain: '127.0.0.1',
+                http: {timeout: 0.2, retries: 1, retryDelay: 0.01}
+            }, log);
+
+            await assert.rejects(client.send({path: '/'}), /TIMEDOUT/);
+            assert.strictEqual(log.messages('warn').length, 1);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
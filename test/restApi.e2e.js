@@ -0,0 +1,161 @@
+const assert = require('assert');
+const events = require('events');
+const http = require('http');
+const Adt = require('../lib/adt').Adt;
+const RestApi = require('../lib/restApi').RestApi;
+const DisarmGuard = require('../lib/disarmGuard').DisarmGuard;
+const {FakePortal} = require('./support/fakePortal');
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('REST API against the fake selfcare portal', function () {
+    this.timeout(15000);
+
+    let portal, adt, restApi, port, log;
+
+    const call = (method, path, token = 'secret') => new Promise((resolve, reject) => {
+        let req = http.request({
+            host: '127.0.0.1',
+            port: port,
+            method: method,
+            path: path,
+            headers: token ? {'Authorization': 'Bearer ' + token} : {}
+        }, (res) => {
+            let chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                let body = Buffer.concat(chunks);
+
+                resolve({
+                    statusCode: res.statusCode,
+                    contentType: res.headers['content-type'],
+                    body: res.headers['content-type'] === 'application/json' ? JSON.parse(body.toString()) : body
+                });
+            });
+        });
+
+        req.on('error', reject);
+        req.end();
+    });
+
+    beforeEach(async () => {
+        log = createLog();
+        portal = new FakePortal()
+            .addContactSensor('Puerta principal')
+            .addCamera('1234', 'Living');
+
+        await portal.start();
+
+        adt = new Adt({
+            username: 'user',
+            password: 'pass',
+            domain: portal.domain,
+            protocol: 'http',
+            cacheTTL: 1
+        }, log);
+
+        restApi = new RestApi(adt, {port: 0, token: 'secret'}, log);
+        port = await restApi.start();
+
+        await events.once(adt, 'init');
+    });
+
+    afterEach(async () => {
+        adt.close();
+        await restApi.stop();
+        await portal.stop();
+    });
+
+    it('requires a token in the configuration', () => {
+        assert.throws(() => new RestApi(adt, {port: 0}, log), /Missing API token/);
+    });
+
+    it('rejects requests without a valid token', async () => {
+        assert.strictEqual((await call('GET', '/status', null)).statusCode, 401);
+        assert.strictEqual((await call('GET', '/status', 'wrong')).statusCode, 401);
+    });
+
+    it('returns the current state', async () => {
+        let response = await call('GET', '/status');
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.alarm.armingState, 3);
+        assert.deepStrictEqual(response.body.contactSensors.map(sensor => sensor.name), ['Puerta principal']);
+    });
+
+    it('arms and disarms the alarm', async () => {
+        let response = await call('POST', '/alarm/away');
+
+        assert.strictEqual(response.statusCode, 202);
+        assert.deepStrictEqual(response.body, {targetState: 1});
+        await waitFor(() => portal.armingState === 'right');
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        assert.strictEqual((await call('POST', '/alarm/off')).statusCode, 202);
+        await waitFor(() => portal.armingState === 'left');
+    });
+
+    it('rejects unknown modes', async () => {
+        let response = await call('POST', '/alarm/party');
+
+        assert.strictEqual(response.statusCode, 400);
+    });
+
+    it('listens on the loopback interface by default', () => {
+        assert.strictEqual(restApi.server.address().address, '127.0.0.1');
+    });
+
+    it('rejects night mode when it is not configured', async () => {
+        let response = await call('POST', '/alarm/night');
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.strictEqual(response.body.error, 'Night mode is not configured');
+        assert.strictEqual(adt.targetState, undefined);
+    });
+
+    it('refuses to arm a not ready system', async () => {
+        portal.setSensorOpen('Puerta principal', true);
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.faultStatus === 1);
+
+        let response = await call('POST', '/alarm/home');
+
+        assert.strictEqual(response.statusCode, 409);
+        assert.strictEqual(response.body.error, "Can't arm system. System is not ready.");
+        assert.strictEqual(portal.armingState, 'left');
+    });
+
+    it('refuses a disarm the safeguards do not allow', async () => {
+        portal.armingState = 'right';
+        adt.disarmGuard = new DisarmGuard({confirmationSwitch: true}, log);
+
+        await waitFor(() => adt.getState() && adt.getState().alarm.armingState === 1);
+
+        let response = await call('POST', '/alarm/off');
+
+        assert.strictEqual(response.statusCode, 403);
+        assert.strictEqual(response.body.error, 'Disarming needs to be confirmed first');
+        assert.strictEqual(portal.armingState, 'right');
+        assert.ok(log.messages('warn').some(message => message.startsWith('Refused disarm request from REST API client 127.0.0.1')));
+    });
+
+    it('serves camera snapshots', async () => {
+        let cameras = await call('GET', '/cameras');
+        let snapshot = await call('GET', '/cameras/1234/snapshot');
+
+        assert.deepStrictEqual(cameras.body, [{id: '1234', name: 'Living'}]);
+        assert.strictEqual(snapshot.contentType, 'image/jpeg');
+        assert.strictEqual(snapshot.body.toString(), 'snapshot');
+        assert.strictEqual((await call('GET', '/cameras/9999/snapshot')).statusCode, 404);
+    });
+
+    it('falls back to the existing image when no snapshot can be taken', async () => {
+        portal.imageSnapshotAvailable = false;
+
+        let snapshot = await call('GET', '/cameras/1234/snapshot');
+
+        assert.strictEqual(snapshot.body.toString(), 'existing');
+    });
+});
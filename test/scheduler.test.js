@@ -0,0 +1,177 @@
+const assert = require('assert');
+const events = require('events');
+const Scheduler = require('../lib/scheduler').Scheduler;
+const {createLog} = require('./support/log');
+const {waitFor} = require('./support/wait');
+
+describe('Scheduler', () => {
+    let log, now, adt, scheduler;
+
+    // 2026-03-13 is a Friday
+    const at = (date, time) => new Date(date + 'T' + time + ':00');
+
+    const createScheduler = options => {
+        scheduler = new Scheduler(adt, options, log, () => now);
+
+        return scheduler;
+    };
+
+    beforeEach(() => {
+        log = createLog();
+        now = at('2026-03-13', '12:00');
+        adt = Object.assign(new events.EventEmitter(), {
+            armingState: 3,
+            requests: [],
+            getState() {
+                return {alarm: {armingState: this.armingState}};
+            },
+            setState(status, partition, origin) {
+                this.requests.push([status, partition, origin]);
+                this.armingState = status;
+
+                return null;
+            }
+        });
+    });
+
+    afterEach(() => scheduler && scheduler.stop());
+
+    it('finds the next run of cron rules, skipping holidays', () => {
+        createScheduler({
+            rules: [
+                {mode: 'home', cron: '30 23 * * 1-5'},
+                {mode: 'off', cron: '0 7 * * mon-fri'}
+            ],
+            holidays: ['2026-03-16']
+        });
+
+        assert.deepStrictEqual(scheduler.nextAction(), {rule: scheduler.rules[0], at: at('2026-03-13', '23:30')});
+        assert.strictEqual(scheduler.nextAction(at('2026-03-13', '23:30')).at.getTime(), at('2026-03-17', '07:00').getTime());
+        assert.strictEqual(scheduler.nextAction(at('2026-03-13', '23:30')).rule.mode, 'off');
+    });
+
+    it('supports lists, steps and either day field when both are set', () => {
+        createScheduler({rules: [{mode: 'away', cron: '*/20 9,18 1 * 0'}]});
+
+        assert.strictEqual(scheduler.nextAction().at.getTime(), at('2026-03-15', '09:00').getTime());
+        assert.strictEqual(scheduler.nextAction(at('2026-03-15', '09:00')).at.getTime(), at('2026-03-15', '09:20').getTime());
+        assert.strictEqual(scheduler.nextAction(at('2026-03-15', '18:40')).at.getTime(), at('2026-03-22', '09:00').getTime());
+        assert.strictEqual(scheduler.nextAction(at('2026-03-29', '18:40')).at.getTime(), at('2026-04-01', '09:00').getTime());
+    });
+
+    it('ignores invalid rules', () => {
+        createScheduler({
+            rules: [
+                {mode: 'party', cron: '0 7 * * *'},
+                {mode: 'home', cron: '0 25 * * *'},
+                {mode: 'home', cron: '0 7 * *'},
+                {mode: 'away', cron: '0 9 * * *'}
+            ]
+        });
+
+        assert.deepStrictEqual(scheduler.rules.map(rule => rule.mode), ['away']);
+        assert.strictEqual(log.messages('warn').filter(message => message.startsWith('Ignoring schedule rule')).length, 3);
+    });
+
+    it('runs the rule that is due and reports the next action', () => {
+        createScheduler({rules: [{mode: 'home', cron: '30 23 * * *'}, {mode: 'off', cron: '0 7 * * *'}]}).start();
+
+        assert.ok(log.messages().includes('Next scheduled action: home at ' + at('2026-03-13', '23:30').toLocaleString()));
+
+        now = at('2026-03-13', '23:30');
+        scheduler.tick();
+
+        assert.deepStrictEqual(adt.requests, [[0, undefined, 'schedule']]);
+        assert.ok(log.messages().includes('Next scheduled action: off at ' + at('2026-03-14', '07:00').toLocaleString()));
+    });
+
+    it('skips rules while paused and away rules when already armed', () => {
+        createScheduler({rules: [{mode: 'away', cron: '0 9 * * *', unlessArmed: true}]}).start();
+
+        scheduler.pause(true);
+        now = at('2026-03-14', '09:00');
+        scheduler.tick();
+
+        scheduler.pause(false);
+        adt.armingState = 0;
+        now = at('2026-03-15', '09:00');
+        scheduler.tick();
+
+        assert.deepStrictEqual(adt.requests, []);
+        assert.ok(log.messages().includes('Schedule paused, skipping away'));
+        assert.ok(log.messages().includes('Skipping scheduled away, the system is already armed'));
+    });
+
+    it('retries while the system does not reach the scheduled mode', async () => {
+        let refusals = 2;
+
+        adt.setState = function (status, partition, origin) {
+            this.requests.push([status, partition, origin]);
+
+            if (refusals-- > 0) {
+                return new Error("Can't arm system. System is not ready.");
+            }
+
+            this.armingState = status;
+
+            return null;
+        };
+
+        createScheduler({rules: [{mode: 'away', cron: '0 9 * * *'}], retries: 3, retryDelay: 0.01}).start();
+
+        now = at('2026-03-13', '09:00');
+        scheduler.run(scheduler.rules[0]);
+
+        await waitFor(() => adt.armingState === 1);
+
+        assert.strictEqual(adt.requests.length, 3);
+        assert.ok(log.messages('warn').includes('Scheduled away not active yet. Retrying (1 of 3)'));
+    });
+
+    it('retries only once the panel did not confirm the scheduled mode', async () => {
+        adt.setState = function (status, partition, origin) {
+            this.requests.push([status, partition, origin]);
+
+            return null;
+        };
+
+        createScheduler({rules: [{mode: 'away', cron: '0 9 * * *'}], retries: 1, retryDelay: 0.01}).start();
+        scheduler.run(scheduler.rules[0]);
+
+        // Confirming takes much longer than retryDelay
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.strictEqual(adt.requests.length, 1);
+
+        adt.emit('stateFailed', {status: 1, reason: 'Not confirmed by the panel after 90 seconds.'});
+
+        await waitFor(() => adt.requests.length === 2);
+
+        assert.ok(log.messages('warn').includes('Scheduled away not active yet. Retrying (1 of 1)'));
+
+        adt.armingState = 1;
+        adt.emit('state', adt.getState());
+        adt.emit('stateFailed', {status: 1, reason: 'System is not ready.'});
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(adt.requests.length, 2);
+        assert.deepStrictEqual(log.messages('error'), []);
+    });
+
+    it('gives up after the configured retries', async () => {
+        adt.setState = function (status) {
+            this.requests.push([status]);
+
+            return new Error("Can't arm system. System is not ready.");
+        };
+
+        createScheduler({rules: [{mode: 'home', cron: '0 9 * * *'}], retries: 1, retryDelay: 0.01});
+        scheduler.run(scheduler.rules[0]);
+
+        await waitFor(() => log.messages('error').length > 0);
+
+        assert.strictEqual(adt.requests.length, 2);
+        assert.deepStrictEqual(log.messages('error'), ['Gave up on scheduled home after 2 attempts']);
+    });
+});
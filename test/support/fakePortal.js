@@ -0,0 +1,439 @@
+const http = require('http');
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+const LOGIN_PATH = '/selfcare/j_spring_security_check';
+const DASHBOARD_PATH = '/selfcare/dashboard.xhtml';
+const FRONTPAGE_PATH = '/selfcare/frontpage.xhtml';
+const VIDEO_CONTROLLER_PATH = '/selfcare/rest/videoController';
+
+const HOME_ACTION = 'selfCareForm:j_idt92';
+const AWAY_ACTION = 'selfCareForm:j_idt94';
+const DISARM_ACTION = 'selfCareForm:j_idt90';
+const NIGHT_ACTION = 'selfCareForm:j_idt96';
+const EMERGENCY_ACTIONS = {
+    panic: 'selfCareForm:j_idt100',
+    medical: 'selfCareForm:j_idt102',
+    fire: 'selfCareForm:j_idt104'
+};
+
+const SNAPSHOT = 'data:image/jpeg;base64,' + Buffer.from('snapshot').toString('base64');
+const EXISTING_IMAGE = 'data:image/jpeg;base64,' + Buffer.from('existing').toString('base64');
+
+const token = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * Local stand-in for the ADT selfcare portal. It mimics the login flow, the
+ * dashboard markup scraped by Adt, the JSF partial-ajax actions and the video
+ * controller endpoints, so the plugin can be exercised end to end without
+ * touching a real installation.
+ */
+class FakePortal {
+    constructor(options = {}) {
+        this.username = options.username || 'user';
+        this.password = options.password || 'pass';
+        this.nightButton = options.nightButton;
+        this.name = options.name || 'Casa'; // title of the main partition when there are several
+        this.zoneIds = options.zoneIds !== false; // older dashboards do not show zone ids
+        this.emergencyButtons = options.emergencyButtons || []; // panic, medical and/or fire, guessed markup like lib/dashboardParser.js
+        this.nextZoneId = 1;
+
+        this.armingState = 'left'; // left = disarmed, center = home, right = away, night = optional night button
+        this.batteryLevel = 'lev3';
+        this.contactSensors = [];
+        this.motionSensors = [];
+        this.partitions = []; // partitions besides the main one, rendered with their own activation buttons
+        this.cameras = [];
+        this.emergencies = []; // emergency buttons pressed, in order
+        this.imageSnapshotAvailable = true;
+        this.triggeredZone = undefined;
+        this.outage = false;
+        this.exitDelay = 0; // ms before an arming action shows up on the dashboard
+        this.actionDelay = 0; // ms the portal takes to answer an action
+        this.rotateViewState = false; // hand out a new ViewState after every action, like some JSF setups do
+        this.actionsInFlight = 0;
+        this.maxActionsInFlight = 0;
+
+        this.sessions = {};
+        this.requests = [];
+        this.logins = 0;
+        this.server = http.createServer(this.handle.bind(this));
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.domain = '127.0.0.1:' + this.server.address().port;
+                resolve(this.domain);
+            });
+        });
+    }
+
+    stop() {
+        clearTimeout(this.exitDelayTimer);
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    addContactSensor(name, options = {}) {
+        this.contactSensors.push({
+            id: String(this.nextZoneId++),
+            name: name,
+            open: !!options.open,
+            bypassed: false,
+            lowBattery: false,
+            tampered: false,
+            offline: false,
+            bypassAction: 'selfCareForm:bypass_' + this.contactSensors.length
+        });
+
+        return this;
+    }
+
+    addMotionSensor(name) {
+        this.motionSensors.push({id: String(this.nextZoneId++), name: name, motion: false});
+
+        return this;
+    }
+
+    setMotion(name, motion) {
+        this.motionSensors.find(sensor => sensor.name === name).motion = motion;
+    }
+
+    renameZone(name, newName) {
+        this.contactSensors.concat(this.motionSensors).find(sensor => sensor.name === name).name = newName;
+    }
+
+    removeContactSensor(name) {
+        this.contactSensors = this.contactSensors.filter(sensor => sensor.name !== name);
+    }
+
+    addPartition(name) {
+        let index = this.partitions.length + 1;
+        let prefix = 'selfCareForm:partitions:' + index + ':';
+
+        this.partitions.push({
+            id: String(index + 1),
+            name: name,
+            armingState: 'left',
+            notReady: false,
+            actions: {disarm: prefix + 'j_idt90', home: prefix + 'j_idt92', away: prefix + 'j_idt94'}
+        });
+
+        return this;
+    }
+
+    partition(name) {
+        return this.partitions.find(partition => partition.name === name);
+    }
+
+    addCamera(id, name) {
+        this.cameras.push({id: id, name: name});
+
+        return this;
+    }
+
+    setSensorOpen(name, open) {
+        this.contactSensors.find(sensor => sensor.name === name).open = open;
+    }
+
+    setSensorStatus(name, status) {
+        Object.assign(this.contactSensors.find(sensor => sensor.name === name), status);
+    }
+
+    trigger(zone) {
+        this.triggeredZone = zone;
+    }
+
+    acknowledge() {
+        this.triggeredZone = undefined;
+    }
+
+    isReady() {
+        return this.contactSensors.every(sensor => !sensor.open || sensor.bypassed);
+    }
+
+    expireSessions() {
+        this.sessions = {};
+    }
+
+    actionsFor(path) {
+        return this.requests.filter(request => request.path === path);
+    }
+
+    // Private
+
+    handle(req, res) {
+        let body = '';
+
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let url = req.url.split('?')[0];
+            let session = this.sessionFrom(req);
+
+            this.requests.push({method: req.method, path: url, body: body});
+
+            if (this.outage) {
+                res.writeHead(503);
+                res.end();
+            } else if (req.method === 'GET' && (url === '/' || url === FRONTPAGE_PATH)) {
+                this.frontpage(session, res);
+            } else if (req.method === 'POST' && url === LOGIN_PATH) {
+                this.login(session, querystring.parse(body), res);
+            } else if (!session || !session.authenticated) {
+                this.redirect(res, FRONTPAGE_PATH);
+            } else if (req.method === 'GET' && url === DASHBOARD_PATH) {
+                this.html(res, this.dashboard(session));
+            } else if (req.method === 'POST' && url === DASHBOARD_PATH) {
+                this.partialAjax(session, req, querystring.parse(body), res);
+            } else if (req.method === 'POST' && url.startsWith(VIDEO_CONTROLLER_PATH)) {
+                this.videoController(url.substring(VIDEO_CONTROLLER_PATH.length), req, JSON.parse(body || '{}'), session, res);
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+    }
+
+    sessionFrom(req) {
+        let cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+        let sessionCookie = cookies.find(cookie => cookie.startsWith('JSESSIONID='));
+
+        return sessionCookie ? this.sessions[sessionCookie.substring('JSESSIONID='.length)] : undefined;
+    }
+
+    newSession(res) {
+        let session = {
+            id: token(),
+            csrf: token(),
+            viewState: token(),
+            authenticated: false
+        };
+
+        this.sessions[session.id] = session;
+
+        res.setHeader('Set-Cookie', [
+            'JSESSIONID=' + session.id + '; Path=/; HttpOnly',
+            'BIGipServerTYCO_SELFCARE=' + token() + '; Path=/'
+        ]);
+
+        return session;
+    }
+
+    frontpage(session, res) {
+        session = session && !session.authenticated ? session : this.newSession(res);
+
+        this.html(res, '<html><body>' +
+            '<form id="loginForm" action="' + LOGIN_PATH + '" method="post">' +
+            '<input type="text" name="j_username"/>' +
+            '<input type="password" name="j_password"/>' +
+            '<input type="hidden" name="_csrf" value="' + session.csrf + '"/>' +
+            '<input type="submit" name="loginButton" value="Ir"/>' +
+            '</form></body></html>');
+    }
+
+    login(session, form, res) {
+        if (!session || form._csrf !== session.csrf || form.j_username !== this.username || form.j_password !== this.password) {
+            this.redirect(res, FRONTPAGE_PATH + '?error=true');
+            return;
+        }
+
+        this.logins++;
+
+        session.authenticated = true;
+        session.csrf = token();
+
+        this.redirect(res, DASHBOARD_PATH);
+    }
+
+    partialAjax(session, req, form, res) {
+        this.actionsInFlight++;
+        this.maxActionsInFlight = Math.max(this.maxActionsInFlight, this.actionsInFlight);
+
+        setTimeout(() => {
+            this.actionsInFlight--;
+            this.applyAction(session, req, form, res);
+        }, this.actionDelay);
+    }
+
+    applyAction(session, req, form, res) {
+        if (req.headers['faces-request'] !== 'partial/ajax' || form._csrf !== session.csrf || form['javax.faces.ViewState'] !== session.viewState) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        let action = form['javax.faces.source'];
+        let sensor = this.contactSensors.find(contactSensor => contactSensor.bypassAction === action);
+        let partition = this.partitions.find(candidate => Object.keys(candidate.actions).some(key => candidate.actions[key] === action));
+        let emergency = this.emergencyButtons.find(button => EMERGENCY_ACTIONS[button] === action);
+
+        if (partition && action === partition.actions.disarm) {
+            partition.armingState = 'left';
+        } else if (partition) {
+            partition.armingState = partition.notReady ? partition.armingState : (action === partition.actions.home ? 'center' : 'right');
+        } else if (action === DISARM_ACTION) {
+            clearTimeout(this.exitDelayTimer);
+            this.armingState = 'left';
+            this.triggeredZone = undefined;
+            this.contactSensors.forEach(contactSensor => contactSensor.bypassed = false);
+        } else if ((action === HOME_ACTION || action === AWAY_ACTION) && this.isReady()) {
+            this.arm(action === HOME_ACTION ? 'center' : 'right');
+        } else if (action === NIGHT_ACTION && this.nightButton && this.isReady()) {
+            this.arm('night');
+        } else if (sensor) {
+            sensor.bypassed = !sensor.bypassed;
+        } else if (emergency) {
+            this.emergencies.push(emergency);
+        } else if (action !== HOME_ACTION && action !== AWAY_ACTION && action !== NIGHT_ACTION) {
+            res.writeHead(500);
+            res.end();
+            return;
+        }
+
+        if (this.rotateViewState) {
+            session.viewState = token();
+        }
+
+        res.writeHead(200, {'Content-Type': 'text/xml'});
+        res.end('<?xml version="1.0" encoding="UTF-8"?><partial-response><changes>' +
+            '<update id="javax.faces.ViewState"><![CDATA[' + session.viewState + ']]></update>' +
+            '</changes></partial-response>');
+    }
+
+    arm(armingState) {
+        if (this.exitDelay > 0) {
+            this.exitDelayTimer = setTimeout(() => this.armingState = armingState, this.exitDelay);
+        } else {
+            this.armingState = armingState;
+        }
+    }
+
+    videoController(operation, req, body, session, res) {
+        if (req.headers['x-csrf-token'] !== session.csrf || !this.cameras.some(camera => camera.id === body.deviceId)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        let response;
+
+        switch (operation) {
+            case '/startVideo':
+                response = {session: {streamHlsUrl: 'http://' + this.domain + '/hls/' + body.deviceId + '.m3u8'}};
+                break;
+            case '/stopVideo':
+                response = {};
+                break;
+            case '/getImageSnapshot':
+                if (!this.imageSnapshotAvailable) {
+                    res.writeHead(500);
+                    res.end();
+                    return;
+                }
+
+                response = SNAPSHOT;
+                break;
+            case '/getExistingImage':
+                response = EXISTING_IMAGE;
+                break;
+            default:
+                res.writeHead(404);
+                res.end();
+                return;
+        }
+
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(response));
+    }
+
+    dashboard(session) {
+        let notReady = this.armingState === 'left' && !this.isReady();
+        let button = (position, action, title, partition) => {
+            let armingState = partition ? partition.armingState : this.armingState;
+            let state = armingState === position ? ((partition ? armingState === 'left' && partition.notReady : notReady) ? ' OFF_NOT_READY' : ' active') : '';
+
+            // Guessed markup, see the triggered selectors in lib/dashboardParser.js
+            if (state && this.triggeredZone && !partition) {
+                state += ' ALARM';
+            }
+
+            return '<li class="' + position + state + '"><a id="' + action + '" title="' + title + '" href="#"></a></li>';
+        };
+
+        let zoneId = sensor => this.zoneIds ? ' id="zone_' + sensor.id + '"' : '';
+
+        let contactSensors = this.contactSensors
+            .map(sensor => '<span' + zoneId(sensor) + ' title="' + sensor.name + '"><i class="openDoorDash ' + (sensor.name === this.triggeredZone ? 'alarm ' : '') + (sensor.open ? 'on' : 'off') + '"></i></span>')
+            .join('');
+
+        let motionSensors = this.motionSensors
+            .map(sensor => '<span' + zoneId(sensor) + ' title="' + sensor.name + '"><i class="motionDash ' + (sensor.name === this.triggeredZone ? 'alarm ' : '') + (sensor.motion ? 'on' : 'off') + '"></i></span>')
+            .join('');
+
+        let bypasses = this.contactSensors
+            .map(sensor => '<span><div class="dashboardDevice"><div class="turning">' +
+                '<span class="deviceName" title="' + sensor.name + '">' + sensor.name + '</span>' +
+                ['lowBattery', 'tampered', 'offline'].filter(status => sensor[status]).map(status => '<i class="deviceStatus ' + status + '"></i>').join('') +
+                '<div style="display: flex">' +
+                '<div class="deviceActivationButtons1">' +
+                '<a id="' + sensor.bypassAction + '" class="bypass-link' + (sensor.bypassed ? ' bypassed' : '') + '" href="#"></a>' +
+                '</div></div></div></div></span>')
+            .join('');
+
+        let cameras = this.cameras
+            .map(camera => '<div id="camera_' + camera.id + '" class="cameraViewer cameraThumbnail">' +
+                '<span class="name" title="' + camera.name + '">' + camera.name + '</span></div>')
+            .join('');
+
+        let buttons = button('left', DISARM_ACTION, 'Desactivar') +
+            button('center', HOME_ACTION, 'En casa') +
+            button('right', AWAY_ACTION, 'Fuera de casa') +
+            (this.nightButton ? button('night', NIGHT_ACTION, this.nightButton) : '');
+
+        let activationButtons = this.partitions.length === 0 ? '<ul id="activationButtons">' + buttons + '</ul>' :
+            '<div id="partition_1" class="partition" title="' + this.name + '"><ul id="selfCareForm:partitions:0:activationButtons">' + buttons + '</ul></div>' +
+            this.partitions
+                .map((partition, index) => '<div id="partition_' + partition.id + '" class="partition" title="' + partition.name + '">' +
+                    '<ul id="selfCareForm:partitions:' + (index + 1) + ':activationButtons">' +
+                    button('left', partition.actions.disarm, 'Desactivar', partition) +
+                    button('center', partition.actions.home, 'En casa', partition) +
+                    button('right', partition.actions.away, 'Fuera de casa', partition) +
+                    '</ul></div>')
+                .join('');
+
+        return '<html><body><form id="selfCareForm">' +
+            '<input type="hidden" name="_csrf" value="' + session.csrf + '"/>' +
+            activationButtons +
+            (this.emergencyButtons.length ? '<ul id="emergencyButtons">' + this.emergencyButtons
+                .map(button => '<li class="' + button + '"><a id="' + EMERGENCY_ACTIONS[button] + '" title="' + button + '" href="#">' + button + '</a></li>')
+                .join('') + '</ul>' : '') +
+            '<div id="j_idt135:batteryLevelPanel" class="battery ' + this.batteryLevel + '"></div>' +
+            '<div class="sensors">' + contactSensors + motionSensors + '</div>' +
+            '<div class="protección">' + bypasses + '</div>' +
+            '<div class="cameras">' + cameras + '</div>' +
+            '<input type="hidden" name="javax.faces.ViewState" value="' + session.viewState + '"/>' +
+            '</form></body></html>';
+    }
+
+    html(res, body) {
+        res.writeHead(200, {'Content-Type': 'text/html; charset=UTF-8'});
+        res.end(body);
+    }
+
+    redirect(res, location) {
+        res.writeHead(302, {'Location': 'http://' + this.domain + location});
+        res.end();
+    }
+}
+
+module.exports = {
+    FakePortal,
+    HOME_ACTION,
+    AWAY_ACTION,
+    DISARM_ACTION,
+    NIGHT_ACTION,
+    EMERGENCY_ACTIONS,
+    SNAPSHOT,
+    EXISTING_IMAGE
+};
@@ -0,0 +1,24 @@
+const util = require('util');
+
+/**
+ * Minimal stand-in for the homebridge logger that records every line, so tests
+ * can assert on what the plugin reported.
+ */
+const createLog = function () {
+    const lines = [];
+    const record = level => (...args) => lines.push({level: level, message: util.format(...args)});
+
+    const log = record('info');
+    log.info = record('info');
+    log.debug = record('debug');
+    log.warn = record('warn');
+    log.error = record('error');
+    log.lines = lines;
+    log.messages = level => lines.filter(line => !level || line.level === level).map(line => line.message);
+
+    return log;
+};
+
+module.exports = {
+    createLog
+};
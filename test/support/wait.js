@@ -0,0 +1,26 @@
+/**
+ * Polls the predicate until it holds or the timeout expires.
+ */
+const waitFor = function (predicate, timeout = 5000, interval = 50) {
+    const start = Date.now();
+
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            let result = predicate();
+
+            if (result) {
+                resolve(result);
+            } else if (Date.now() - start > timeout) {
+                reject(new Error('Timed out waiting for condition'));
+            } else {
+                setTimeout(check, interval);
+            }
+        };
+
+        check();
+    });
+};
+
+module.exports = {
+    waitFor
+};